@@ -0,0 +1,76 @@
+import { useEffect, useRef } from "react";
+import L from "leaflet";
+import { useLeaflet } from "react-leaflet";
+import { escapeHtml } from "../utils/markerContent";
+
+const formatArea = (areaKm2) => (
+  areaKm2 < 10 ? areaKm2.toFixed(1) : Math.round(areaKm2).toLocaleString()
+);
+
+const getCellTooltipHtml = (cell, { metricLabel, cellValue, color, formatValue }) => (
+  `<div style="text-align: center; font-weight: bold;">
+    <div>${cell.pincodes.toLocaleString()} ${cell.pincodes === 1 ? "pincode" : "pincodes"}</div>
+    <div style="color: ${color}; margin-top: 4px;">
+      ${escapeHtml(metricLabel)}: ${formatValue(cell.total)}
+    </div>
+    <div style="font-weight: normal;">Average: ${formatValue(cell.average)}</div>
+    <div style="margin-top: 4px; font-weight: normal; color: #6b7280;">
+      ~${formatArea(cell.areaKm2)} km² · ${cellValue === "average" ? "coloured by average" : "coloured by total"}
+    </div>
+  </div>`
+);
+
+// Hexagon or square cells drawn as polygons on one canvas renderer, so a few
+// thousand cells redraw quickly when the map re-bins on zoom. Clicking a cell
+// zooms into it.
+const BinLayer = ({ cells, getColor, cellValue, metricLabel, formatValue, interactive }) => {
+  const { map } = useLeaflet();
+  const groupRef = useRef(null);
+  const rendererRef = useRef(null);
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const renderer = L.canvas({ padding: 0.5 });
+    const group = L.layerGroup().addTo(map);
+    rendererRef.current = renderer;
+    groupRef.current = group;
+    return () => {
+      map.removeLayer(group);
+      // The renderer joined the map with the first polygon; leaving it would
+      // keep an empty canvas redrawing on every move
+      map.removeLayer(renderer);
+      groupRef.current = null;
+      rendererRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+    group.clearLayers();
+    cells.forEach((cell) => {
+      const value = cellValue === "average" ? cell.average : cell.total;
+      const color = getColor(value);
+      const polygon = L.polygon(cell.polygon, {
+        renderer: rendererRef.current,
+        color: "#ffffff",
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.7,
+        interactive
+      });
+      if (interactive) {
+        polygon.bindTooltip(
+          getCellTooltipHtml(cell, { metricLabel, cellValue, color, formatValue }),
+          { sticky: true, direction: "top", className: "custom-tooltip", opacity: 0.95 }
+        );
+        polygon.on("click", () => map.fitBounds(polygon.getBounds()));
+      }
+      group.addLayer(polygon);
+    });
+  }, [map, cells, getColor, cellValue, metricLabel, formatValue, interactive]);
+
+  return null;
+};
+
+export default BinLayer;
@@ -0,0 +1,226 @@
+import { useEffect, useRef } from "react";
+import L from "leaflet";
+import { useLeaflet } from "react-leaflet";
+import {
+  buildMarkerContext,
+  buildMarkerView,
+  getPopupHtml,
+  getTooltipHtml
+} from "../utils/markerContent";
+
+const DEFAULT_POINT_THRESHOLD = 5000;
+// Hit-testing grid cell, in screen pixels; about the size of the largest marker
+const HIT_CELL_SIZE = 32;
+// Points this far outside the view are still drawn so panning doesn't pop
+const VIEW_PADDING = 30;
+
+const configuredThreshold = Number(process.env.REACT_APP_CANVAS_POINT_THRESHOLD);
+
+/**
+ * Point count above which the map draws on a canvas instead of markers
+ * (REACT_APP_CANVAS_POINT_THRESHOLD, 5000 by default)
+ */
+export const CANVAS_POINT_THRESHOLD =
+  configuredThreshold > 0 ? configuredThreshold : DEFAULT_POINT_THRESHOLD;
+
+const cellKey = (x, y) => `${Math.floor(x / HIT_CELL_SIZE)},${Math.floor(y / HIT_CELL_SIZE)}`;
+
+// Draws every point onto one canvas with the marker colours and sizes. Hover
+// and click find the point under the cursor through a grid of screen cells
+// rebuilt on each redraw, so tens of thousands of pincodes stay responsive.
+const CanvasPointLayer = ({
+  geocodedData,
+  getColor,
+  getRadius,
+  formatValue,
+  formatChangePct,
+  metric,
+  isComparison,
+  selectedPincode,
+  interactive,
+  onSelect,
+  onRender
+}) => {
+  const { map } = useLeaflet();
+  // Screen positions of the points drawn last, for hit-testing
+  const drawnRef = useRef({ points: [], grid: new Map() });
+  const contextRef = useRef(null);
+  const itemsRef = useRef([]);
+  const redrawRef = useRef(null);
+  const onRenderRef = useRef(onRender);
+  onRenderRef.current = onRender;
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const canvas = L.DomUtil.create("canvas", "canvas-point-layer leaflet-zoom-hide");
+    map.getPanes().overlayPane.appendChild(canvas);
+    const tooltip = L.tooltip({
+      direction: "top",
+      className: "custom-tooltip",
+      opacity: 0.95
+    });
+    let hovered = null;
+
+    const redraw = () => {
+      const started = window.performance.now();
+      const size = map.getSize();
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = size.x * ratio;
+      canvas.height = size.y * ratio;
+      canvas.style.width = `${size.x}px`;
+      canvas.style.height = `${size.y}px`;
+      // The overlay pane moves while panning; pin the canvas to the viewport
+      L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+      const context = contextRef.current;
+      const drawing = canvas.getContext("2d");
+      drawing.setTransform(ratio, 0, 0, ratio, 0, 0);
+      drawing.clearRect(0, 0, size.x, size.y);
+      const points = [];
+      const grid = new Map();
+      if (!context) return;
+
+      // Rows come largest first, so smaller points are drawn on top
+      itemsRef.current.forEach((item) => {
+        const point = map.latLngToContainerPoint(item.coordinates);
+        if (
+          point.x < -VIEW_PADDING || point.y < -VIEW_PADDING ||
+          point.x > size.x + VIEW_PADDING || point.y > size.y + VIEW_PADDING
+        ) {
+          return;
+        }
+        const radius = context.getRadius(item.value);
+        const isSelected = context.selectedPincode === item.pincode;
+        drawing.beginPath();
+        drawing.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        drawing.fillStyle = context.getColor(item.value);
+        drawing.globalAlpha = item.approximate ? 0.75 : 0.9;
+        drawing.fill();
+        drawing.globalAlpha = 1;
+        drawing.lineWidth = isSelected ? 3 : 1.5;
+        drawing.strokeStyle = isSelected ? "#1d4ed8" : "#ffffff";
+        drawing.setLineDash(item.approximate ? [3, 2] : []);
+        drawing.stroke();
+
+        const index = points.length;
+        points.push({ item, x: point.x, y: point.y, radius });
+        const key = cellKey(point.x, point.y);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+      });
+      drawing.setLineDash([]);
+      drawnRef.current = { points, grid };
+      if (onRenderRef.current) {
+        onRenderRef.current({ durationMs: window.performance.now() - started, count: points.length });
+      }
+    };
+
+    // The topmost (last drawn) point under the cursor
+    const findPoint = (containerPoint) => {
+      const { points, grid } = drawnRef.current;
+      let found = -1;
+      for (let dx = -1; dx <= 1; dx += 1) {
+        for (let dy = -1; dy <= 1; dy += 1) {
+          const key = cellKey(containerPoint.x + dx * HIT_CELL_SIZE, containerPoint.y + dy * HIT_CELL_SIZE);
+          const indexes = grid.get(key) || [];
+          for (let i = 0; i < indexes.length; i += 1) {
+            const point = points[indexes[i]];
+            const distance = Math.hypot(point.x - containerPoint.x, point.y - containerPoint.y);
+            if (distance <= point.radius && indexes[i] > found) found = indexes[i];
+          }
+        }
+      }
+      return found === -1 ? null : points[found];
+    };
+
+    const handleMouseMove = (event) => {
+      if (!contextRef.current.interactive) return;
+      const point = findPoint(event.containerPoint);
+      const item = point ? point.item : null;
+      if (item === hovered) return;
+      hovered = item;
+      map.getContainer().classList.toggle("is-over-point", Boolean(item));
+      if (!item) {
+        map.closeTooltip(tooltip);
+        return;
+      }
+      const view = buildMarkerView(item, contextRef.current);
+      tooltip.options.offset = L.point(0, -point.radius - 5);
+      tooltip.setLatLng(item.coordinates).setContent(getTooltipHtml(view));
+      map.openTooltip(tooltip);
+    };
+
+    const handleMouseOut = () => {
+      hovered = null;
+      map.getContainer().classList.remove("is-over-point");
+      map.closeTooltip(tooltip);
+    };
+
+    const handleClick = (event) => {
+      const context = contextRef.current;
+      if (!context.interactive) return;
+      const point = findPoint(event.containerPoint);
+      if (!point) return;
+      const { item } = point;
+      // Rolled-up groups drill down; stacks only list their members
+      if (!item.level) {
+        L.popup(item.stack ? { maxWidth: 320 } : {})
+          .setLatLng(item.coordinates)
+          .setContent(getPopupHtml(buildMarkerView(item, context)))
+          .openOn(map);
+      }
+      if (context.onSelect && !item.stack) {
+        context.onSelect(item);
+      }
+    };
+
+    map.on("moveend zoomend resize viewreset", redraw);
+    map.on("mousemove", handleMouseMove);
+    map.on("mouseout", handleMouseOut);
+    map.on("click", handleClick);
+    redrawRef.current = redraw;
+    redraw();
+
+    return () => {
+      map.off("moveend zoomend resize viewreset", redraw);
+      map.off("mousemove", handleMouseMove);
+      map.off("mouseout", handleMouseOut);
+      map.off("click", handleClick);
+      map.closeTooltip(tooltip);
+      map.getContainer().classList.remove("is-over-point");
+      L.DomUtil.remove(canvas);
+      redrawRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    itemsRef.current = geocodedData || [];
+    contextRef.current = buildMarkerContext({
+      getColor,
+      getRadius,
+      formatValue,
+      formatChangePct,
+      metric,
+      isComparison,
+      selectedPincode,
+      interactive,
+      onSelect
+    });
+    if (redrawRef.current) redrawRef.current();
+  }, [
+    geocodedData,
+    getColor,
+    getRadius,
+    formatValue,
+    formatChangePct,
+    metric,
+    isComparison,
+    selectedPincode,
+    interactive,
+    onSelect
+  ]);
+
+  return null;
+};
+
+export default CanvasPointLayer;
@@ -0,0 +1,157 @@
+import React from "react";
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 10 };
+
+// Cumulative metric against distance from the site, stepping up at each
+// pincode, with the rings marked as dashed verticals
+const CatchmentChart = ({ curve, rings, formatValue }) => {
+  const maxDistance = rings[rings.length - 1].radiusKm;
+  const totals = curve.map((point) => point.total);
+  const low = Math.min(0, ...totals);
+  const high = Math.max(0, ...totals);
+  const span = high - low || 1;
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (distance) => CHART_PADDING.left + (distance / maxDistance) * plotWidth;
+  const y = (total) => CHART_PADDING.top + ((high - total) / span) * plotHeight;
+
+  let path = `M ${x(0)} ${y(0)}`;
+  let lastTotal = 0;
+  curve.forEach((point) => {
+    path += ` H ${x(point.distanceKm)} V ${y(point.total)}`;
+    lastTotal = point.total;
+  });
+  path += ` H ${x(maxDistance)}`;
+
+  return (
+    <svg
+      className="catchment-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={`Cumulative total reaches ${formatValue(lastTotal)} within ${maxDistance} km`}
+    >
+      <line
+        className="catchment-axis"
+        x1={x(0)}
+        x2={x(maxDistance)}
+        y1={y(0)}
+        y2={y(0)}
+      />
+      {rings.map((ring) => (
+        <g key={ring.radiusKm}>
+          <line
+            className="catchment-ring-line"
+            x1={x(ring.radiusKm)}
+            x2={x(ring.radiusKm)}
+            y1={CHART_PADDING.top}
+            y2={CHART_HEIGHT - CHART_PADDING.bottom}
+          />
+          <text
+            x={x(ring.radiusKm)}
+            y={CHART_HEIGHT - 6}
+            textAnchor={ring.radiusKm === maxDistance ? "end" : "middle"}
+          >
+            {ring.radiusKm} km
+          </text>
+        </g>
+      ))}
+      <path className="catchment-line" d={path} />
+      <text x={x(0) + 2} y={CHART_PADDING.top + 10}>{formatValue(high)}</text>
+    </svg>
+  );
+};
+
+const CatchmentPanel = ({
+  site,
+  isPlacing,
+  radiiText,
+  analysis,
+  metric,
+  formatValue,
+  selectedItem,
+  onRadiiChange,
+  onStartPlacing,
+  onUseSelected,
+  onClear
+}) => {
+  const totalLabel = metric.type === "ratio" ? "Overall" : "Total";
+
+  return (
+    <div className="panel-section">
+      <div className="panel-title">Catchment</div>
+      <div className="area-tools">
+        <button
+          type="button"
+          className={`button ghost chip-button ${isPlacing ? "active" : ""}`}
+          onClick={onStartPlacing}
+        >
+          {isPlacing ? "Click the map…" : "Drop pin"}
+        </button>
+        <button
+          type="button"
+          className="button ghost chip-button"
+          onClick={onUseSelected}
+          disabled={!selectedItem}
+          title={selectedItem ? `Centre on ${selectedItem.pincode}` : "Select a pincode first"}
+        >
+          Use selected pincode
+        </button>
+        {site ? (
+          <button className="button ghost chip-button" type="button" onClick={onClear}>
+            Clear
+          </button>
+        ) : null}
+      </div>
+      <label className="field catchment-radii">
+        <span>Rings (km)</span>
+        <input
+          type="text"
+          value={radiiText}
+          onChange={(event) => onRadiiChange(event.target.value)}
+          placeholder="5, 10, 25"
+        />
+      </label>
+      {site && analysis ? (
+        <>
+          <div className="panel-note">
+            Around {site.label} ({site.coordinates[0].toFixed(4)}, {site.coordinates[1].toFixed(4)})
+          </div>
+          <table className="catchment-table">
+            <thead>
+              <tr>
+                <th>Within</th>
+                <th>Pincodes</th>
+                <th>{totalLabel}</th>
+                <th>Ring only</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.rings.map((ring) => (
+                <tr key={ring.radiusKm}>
+                  <td>{ring.radiusKm} km</td>
+                  <td>{ring.count}</td>
+                  <td>{formatValue(ring.total)}</td>
+                  <td>{formatValue(ring.bandTotal)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {analysis.curve.length > 0 ? (
+            <CatchmentChart curve={analysis.curve} rings={analysis.rings} formatValue={formatValue} />
+          ) : (
+            <div className="panel-note">No pincodes with data inside the outer ring.</div>
+          )}
+        </>
+      ) : (
+        <div className="panel-note">
+          Drop a pin or use a pincode to see {metric.label.toLowerCase()} within each ring, e.g.
+          for a proposed warehouse or store.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CatchmentPanel;
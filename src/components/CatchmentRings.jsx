@@ -0,0 +1,52 @@
+import React from "react";
+import { Circle, CircleMarker, Tooltip } from "react-leaflet";
+
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+// Rings around a catchment site, each labelled at its northern edge with the
+// total inside it
+const CatchmentRings = ({ site, rings, formatValue }) => (
+  <>
+    {[...rings].reverse().map((ring) => (
+      <React.Fragment key={ring.radiusKm}>
+        <Circle
+          center={site.coordinates}
+          radius={ring.radiusKm * 1000}
+          color="#7c3aed"
+          weight={2}
+          dashArray="6 4"
+          fillColor="#7c3aed"
+          fillOpacity={0.04}
+          interactive={false}
+        />
+        <CircleMarker
+          center={[
+            site.coordinates[0] + ring.radiusKm / KM_PER_DEGREE_LATITUDE,
+            site.coordinates[1]
+          ]}
+          radius={0}
+          opacity={0}
+          interactive={false}
+        >
+          <Tooltip permanent direction="top" className="catchment-label">
+            {ring.radiusKm} km · {formatValue(ring.total)}
+          </Tooltip>
+        </CircleMarker>
+      </React.Fragment>
+    ))}
+    <CircleMarker
+      center={site.coordinates}
+      radius={7}
+      color="#ffffff"
+      weight={2}
+      fillColor="#7c3aed"
+      fillOpacity={1}
+    >
+      <Tooltip direction="top" offset={[0, -8]} className="custom-tooltip">
+        {site.label}
+      </Tooltip>
+    </CircleMarker>
+  </>
+);
+
+export default CatchmentRings;
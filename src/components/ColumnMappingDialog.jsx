@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { MAPPING_ROLES, isMappingComplete } from "../utils/upload";
+
+const PREVIEW_ROW_COUNT = 5;
+
+const ColumnMappingDialog = ({
+  fileName,
+  headers,
+  rows,
+  initialMapping,
+  onConfirm,
+  onCancel
+}) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const previewRows = rows.slice(1, PREVIEW_ROW_COUNT + 1);
+  const columnLabel = (index) => headers[index] || `Column ${index + 1}`;
+
+  const rolesByColumn = MAPPING_ROLES.reduce((acc, role) => {
+    const indexes = role.multiple ? mapping[role.key] || [] : [mapping[role.key]];
+    indexes
+      .filter((index) => typeof index === "number")
+      .forEach((index) => {
+        acc[index] = [...(acc[index] || []), role.multiple ? "Metric" : role.label];
+      });
+    return acc;
+  }, {});
+
+  const missingRoles = MAPPING_ROLES.filter((role) => (
+    role.required &&
+    (role.multiple
+      ? !mapping[role.key] || mapping[role.key].length === 0
+      : typeof mapping[role.key] !== "number")
+  ));
+  const hasLatLngPair = (mapping.lat === null) === (mapping.lng === null);
+  let validationMessage = "";
+  if (missingRoles.length > 0) {
+    validationMessage = `Choose a column for ${missingRoles.map((role) => role.label.toLowerCase()).join(" and ")}.`;
+  } else if (!isMappingComplete(mapping)) {
+    validationMessage = "The pincode column can't also be a metric.";
+  } else if (!hasLatLngPair) {
+    validationMessage = "Pick both latitude and longitude, or neither.";
+  }
+
+  // A column given a single role stops being a metric, so a pincode column
+  // that was guessed as a metric can still be picked as the pincode
+  const handleChange = (roleKey, value) => {
+    const index = value === "" ? null : Number(value);
+    setMapping((current) => ({
+      ...current,
+      [roleKey]: index,
+      metrics: (current.metrics || []).filter((metricIndex) => metricIndex !== index)
+    }));
+  };
+
+  const handleToggleMetric = (index, checked) => {
+    setMapping((current) => {
+      const metrics = (current.metrics || []).filter((value) => value !== index);
+      return { ...current, metrics: checked ? [...metrics, index] : metrics };
+    });
+  };
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="mapping-title">
+      <div className="modal-card mapping-dialog">
+        <div className="modal-title" id="mapping-title">Map columns</div>
+        <div className="modal-subtitle">
+          Tell us which columns in <strong>{fileName}</strong> hold the pincode and the
+          values to plot. Optional columns are kept when mapped.
+        </div>
+
+        <div className="mapping-fields">
+          {MAPPING_ROLES.filter((role) => !role.multiple).map((role) => (
+            <label className="field" key={role.key}>
+              <span>
+                {role.label}
+                {role.required ? " *" : ""}
+              </span>
+              <select
+                value={typeof mapping[role.key] === "number" ? mapping[role.key] : ""}
+                onChange={(event) => handleChange(role.key, event.target.value)}
+              >
+                <option value="">{role.required ? "Select a column" : "Don't import"}</option>
+                {headers.map((header, index) => (
+                  <option key={index} value={index}>{columnLabel(index)}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="mapping-metrics">
+          <div className="field-label">Metrics * (numeric columns to plot)</div>
+          <div className="mapping-metric-options">
+            {headers.map((header, index) => (
+              <label className="toggle" key={index}>
+                <input
+                  type="checkbox"
+                  checked={(mapping.metrics || []).includes(index)}
+                  disabled={index === mapping.pincode}
+                  onChange={(event) => handleToggleMetric(index, event.target.checked)}
+                />
+                {columnLabel(index)}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="mapping-preview">
+          <table>
+            <thead>
+              <tr>
+                {headers.map((header, index) => (
+                  <th key={index} className={rolesByColumn[index] ? "is-mapped" : ""}>
+                    <div>{columnLabel(index)}</div>
+                    {rolesByColumn[index] ? (
+                      <div className="mapping-role">{rolesByColumn[index].join(", ")}</div>
+                    ) : null}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {headers.map((header, index) => (
+                    <td key={index} className={rolesByColumn[index] ? "is-mapped" : ""}>
+                      {row[index]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {validationMessage ? <div className="panel-note">{validationMessage}</div> : null}
+
+        <div className="modal-actions">
+          <button className="button ghost" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            className="button"
+            type="button"
+            disabled={Boolean(validationMessage)}
+            onClick={() => onConfirm(mapping)}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from "react";
+import { downloadFile } from "../utils/csv";
+import {
+  COORDINATE_CACHE_TTL_MS,
+  clearStoredCoordinates,
+  exportStoredCoordinates,
+  getCoordinateStoreBackend,
+  importStoredCoordinates,
+  isRecordExpired,
+  listStoredCoordinates
+} from "../utils/coordinateStore";
+
+const MAX_LISTED_RECORDS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatAge = (updatedAt, now) => {
+  const days = Math.floor((now - updatedAt) / DAY_MS);
+  if (days < 1) return "today";
+  return days === 1 ? "1 day ago" : `${days} days ago`;
+};
+
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result || ""));
+  reader.onerror = () => reject(new Error("Unable to read the file."));
+  reader.readAsText(file);
+});
+
+const CoordinateCacheDialog = ({ onClose }) => {
+  const [records, setRecords] = useState(null);
+  const [query, setQuery] = useState("");
+  const [message, setMessage] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    listStoredCoordinates().then(setRecords);
+  }, []);
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    try {
+      setMessage(await action());
+      setRecords(await listStoredCoordinates());
+    } catch (error) {
+      setMessage(error.message || "Something went wrong.");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleExport = () => runAction(async () => {
+    downloadFile("pincode_coordinate_cache.json", await exportStoredCoordinates(), "application/json");
+    return `Exported ${records.length} records.`;
+  });
+
+  const handleImport = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    runAction(async () => {
+      const count = await importStoredCoordinates(await readFileText(file));
+      return `Imported ${count} records from ${file.name}.`;
+    });
+  };
+
+  const handleClearExpired = () => runAction(async () => {
+    const count = await clearStoredCoordinates({ expiredOnly: true });
+    return `Removed ${count} expired records.`;
+  });
+
+  const handleClearAll = () => {
+    if (!window.confirm("Remove every cached coordinate, including manual fixes?")) return;
+    runAction(async () => {
+      const count = await clearStoredCoordinates();
+      return `Removed ${count} records.`;
+    });
+  };
+
+  const now = Date.now();
+  const expiredCount = records ? records.filter((record) => isRecordExpired(record, now)).length : 0;
+  const countsBySource = (records || []).reduce((acc, record) => {
+    acc[record.source] = (acc[record.source] || 0) + 1;
+    return acc;
+  }, {});
+  const trimmedQuery = query.trim();
+  const matchingRecords = (records || []).filter((record) => record.pincode.startsWith(trimmedQuery));
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="cache-title">
+      <div className="modal-card cache-dialog">
+        <div className="modal-title" id="cache-title">Coordinate cache</div>
+        <div className="modal-subtitle">
+          Geocoded coordinates are kept{" "}
+          {getCoordinateStoreBackend() === "indexeddb"
+            ? "in this browser"
+            : "for this session only (browser storage is unavailable)"}
+          . Answers from geocoding services are refreshed after{" "}
+          {Math.round(COORDINATE_CACHE_TTL_MS / DAY_MS)} days; manual fixes and imports
+          are kept until cleared.
+        </div>
+
+        {records === null ? (
+          <div className="panel-note">Loading cache…</div>
+        ) : (
+          <>
+            <div className="cache-summary">
+              <div className="meta-chip">{records.length} records</div>
+              {Object.keys(countsBySource).sort().map((source) => (
+                <div className="meta-chip" key={source}>
+                  {source}: {countsBySource[source]}
+                </div>
+              ))}
+              {expiredCount > 0 ? <div className="meta-chip">{expiredCount} expired</div> : null}
+            </div>
+
+            <label className="field">
+              <span>Find a pincode</span>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder="e.g. 5600"
+              />
+            </label>
+
+            <div className="cache-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Pincode</th>
+                    <th>Coordinates</th>
+                    <th>Source</th>
+                    <th>Updated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {matchingRecords.slice(0, MAX_LISTED_RECORDS).map((record) => (
+                    <tr key={record.pincode} className={isRecordExpired(record, now) ? "is-expired" : ""}>
+                      <td>{record.pincode}</td>
+                      <td>{record.coords[0].toFixed(4)}, {record.coords[1].toFixed(4)}</td>
+                      <td>{record.source}</td>
+                      <td>
+                        {formatAge(record.updatedAt, now)}
+                        {isRecordExpired(record, now) ? " (expired)" : ""}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {matchingRecords.length === 0 ? (
+                <div className="panel-note">No cached coordinates{trimmedQuery ? " match" : ""}.</div>
+              ) : null}
+              {matchingRecords.length > MAX_LISTED_RECORDS ? (
+                <div className="panel-note">
+                  Showing {MAX_LISTED_RECORDS} of {matchingRecords.length}; search to narrow down.
+                </div>
+              ) : null}
+            </div>
+          </>
+        )}
+
+        {message ? <div className="panel-note">{message}</div> : null}
+
+        <div className="modal-actions">
+          <button
+            className="button ghost"
+            type="button"
+            onClick={handleExport}
+            disabled={isBusy || !records || records.length === 0}
+          >
+            Export
+          </button>
+          <label className={`button ghost ${isBusy ? "is-disabled" : ""}`} htmlFor="cache-import">
+            Import
+          </label>
+          <input
+            id="cache-import"
+            className="file-input"
+            type="file"
+            accept=".json,.csv,.txt"
+            onChange={handleImport}
+            disabled={isBusy}
+          />
+          <button
+            className="button ghost"
+            type="button"
+            onClick={handleClearExpired}
+            disabled={isBusy || expiredCount === 0}
+          >
+            Clear expired
+          </button>
+          <button
+            className="button ghost"
+            type="button"
+            onClick={handleClearAll}
+            disabled={isBusy || !records || records.length === 0}
+          >
+            Clear all
+          </button>
+          <button className="button" type="button" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CoordinateCacheDialog;
@@ -0,0 +1,83 @@
+import React from "react";
+
+const MIN_SYMBOL_SIZE = 6;
+const MAX_SYMBOL_SIZE = 20;
+
+// Marker radii run from 5 to 25 px; the legend draws them smaller so five
+// classes fit on one line
+const getSymbolSize = (radius) => (
+  MIN_SYMBOL_SIZE + ((Math.max(5, Math.min(25, radius)) - 5) / 20) * (MAX_SYMBOL_SIZE - MIN_SYMBOL_SIZE)
+);
+
+// Graduated legend: one entry per colour class or size step with its value
+// range and how many markers fall in it. Clicking an entry hides or shows
+// those markers on the map and heatmap. The heatmap also gets its colour ramp
+// from no heat to the value where it tops out.
+const MapLegend = ({
+  description,
+  classes,
+  counts,
+  hiddenClasses,
+  gradient,
+  showSymbols,
+  heatScale,
+  unitLabel,
+  formatValue,
+  onToggleClass,
+  onShowAll
+}) => (
+  <div className="map-legend">
+    <strong>Legend:</strong> {description}
+    {heatScale ? (
+      <div className="legend-heat">
+        <span>{heatScale.low}</span>
+        <span className="legend-heat-bar" style={{ background: heatScale.gradient }} />
+        <span>{heatScale.high}</span>
+      </div>
+    ) : null}
+    {classes.length > 0 ? (
+      <div className="legend-scale">
+        {gradient && showSymbols ? (
+          <span
+            className="legend-gradient"
+            style={{ background: `linear-gradient(to right, ${gradient.join(", ")})` }}
+          />
+        ) : null}
+        {classes.map((entry) => {
+          const isHidden = hiddenClasses.includes(entry.index);
+          const size = getSymbolSize(entry.radius);
+          return (
+            <button
+              key={entry.index}
+              type="button"
+              className={`legend-class ${isHidden ? "is-hidden" : ""}`}
+              aria-pressed={!isHidden}
+              title={isHidden ? "Show on the map" : "Hide from the map"}
+              onClick={() => onToggleClass(entry.index)}
+            >
+              {showSymbols ? (
+                <span
+                  className="legend-symbol"
+                  style={{ width: size, height: size, background: entry.color }}
+                />
+              ) : null}
+              <span>
+                {formatValue(entry.from)} – {formatValue(entry.to)}
+              </span>
+              <span className="legend-count" title={`${counts[entry.index]} ${unitLabel}`}>
+                {counts[entry.index]}
+              </span>
+            </button>
+          );
+        })}
+        {hiddenClasses.length > 0 ? (
+          <button className="button ghost chip-button" type="button" onClick={onShowAll}>
+            Show all
+          </button>
+        ) : null}
+      </div>
+    ) : null}
+  </div>
+);
+
+export default MapLegend;
@@ -0,0 +1,22 @@
+import React from "react";
+
+const formatMs = (ms) => (ms < 10 ? `${ms.toFixed(1)} ms` : `${Math.round(ms)} ms`);
+
+// Corner readout of how much the map is drawing and how long it took
+const PerformanceOverlay = ({ renderer, visibleCount, totalCount, queryMs, renderStats, zoom }) => (
+  <div className="performance-overlay">
+    <div>
+      <strong>{visibleCount.toLocaleString()}</strong> of {totalCount.toLocaleString()} points near the view
+      {zoom === undefined ? "" : ` · zoom ${zoom}`}
+    </div>
+    <div>Index query: {formatMs(queryMs)}</div>
+    <div>
+      {renderer} update:{" "}
+      {renderStats
+        ? `${formatMs(renderStats.durationMs)} (${renderStats.count.toLocaleString()} drawn)`
+        : "waiting…"}
+    </div>
+  </div>
+);
+
+export default PerformanceOverlay;
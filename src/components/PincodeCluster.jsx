@@ -4,60 +4,166 @@ import "leaflet.markercluster/dist/leaflet.markercluster";
 import "leaflet.markercluster/dist/MarkerCluster.css";
 import "leaflet.markercluster/dist/MarkerCluster.Default.css";
 import { useLeaflet } from "react-leaflet";
+import { getContrastText } from "../utils/classification";
+import { summarizeComparison } from "../utils/comparison";
+import {
+  buildMarkerContext,
+  buildMarkerView,
+  getMarkerFields,
+  getPopupHtml,
+  getTooltipHtml
+} from "../utils/markerContent";
+import { combineMetricValues } from "../utils/metrics";
+
+// Marker fields summed up the cluster tree. A cluster's sums behave like one
+// merged row, so combineMetricValues and summarizeComparison work on them.
+const SUMMED_FIELDS = [
+  "value",
+  "numerator",
+  "denominator",
+  "currentValue",
+  "baselineValue",
+  "baselineNumerator",
+  "baselineDenominator",
+  "memberCount"
+];
+
+const addSums = (sums, entry) => {
+  SUMMED_FIELDS.forEach((field) => {
+    sums[field] += entry[field] || 0;
+  });
+  sums.count += entry.count === undefined ? 1 : entry.count;
+};
+
+// Sums for a cluster, built from its direct markers and the cached sums of its
+// child clusters (markercluster keeps them in `_markers` and `_childClusters`)
+// so zooming and re-rendering never walk every marker again. Caches are
+// dropped by bumping `version` whenever markers are added, removed or change.
+const getClusterSums = (cluster, version) => {
+  if (cluster.sumsVersion === version) return cluster.sums;
+  const sums = { count: 0 };
+  SUMMED_FIELDS.forEach((field) => {
+    sums[field] = 0;
+  });
+  cluster._markers.forEach((marker) => addSums(sums, marker.options));
+  cluster._childClusters.forEach((child) => addSums(sums, getClusterSums(child, version)));
+  cluster.sums = sums;
+  cluster.sumsVersion = version;
+  return sums;
+};
+
+const reportRender = (onRender, startedAt, count) => {
+  if (onRender) onRender({ durationMs: window.performance.now() - startedAt, count });
+};
+
+const getMarkerIcon = (view) => {
+  const { radius, color } = view;
+  return L.divIcon({
+    className: "custom-sales-marker",
+    html: `<div class="sales-marker-container" style="
+      width: ${radius * 2}px;
+      height: ${radius * 2}px;
+    ">
+      <div class="sales-marker-glow" style="
+        background: ${adjustColor(color, -30)};
+        width: ${radius * 2}px;
+        height: ${radius * 2}px;
+      "></div>
+      <div class="sales-marker-circle ${view.isSelected ? "is-selected" : ""} ${view.approximate ? "is-approximate" : ""} ${view.stack ? "is-stack" : ""}" style="
+        background: linear-gradient(135deg, ${color} 0%, ${adjustColor(color, -22)} 100%);
+        width: ${radius * 2}px;
+        height: ${radius * 2}px;
+        font-size: ${Math.max(10, Math.min(16, radius * 0.65))}px;
+        color: ${getContrastText(color)};
+      ">${view.valueText}</div>
+    </div>`,
+    iconSize: [radius * 2, radius * 2],
+    iconAnchor: [radius, radius]
+  });
+};
 
 const PincodeCluster = ({
   geocodedData,
   getColor,
   getRadius,
-  formatSales,
+  formatValue,
+  formatChangePct,
+  metric,
+  isComparison,
   selectedPincode,
-  onSelect
+  onSelect,
+  onRender
 }) => {
   const { map } = useLeaflet();
   const markerClusterGroupRef = useRef(null);
+  // Live markers by pincode: { marker, view, item }
+  const markersRef = useRef(new Map());
+  // Latest props for handlers and icons created outside the render cycle
+  const contextRef = useRef(null);
+  const sumsVersionRef = useRef(0);
+  const loadingRef = useRef(false);
+  const pendingSyncRef = useRef(false);
+  const clustersStaleRef = useRef(false);
+  const syncRef = useRef(null);
+  // Timing of the last update, reported once its markers are all in
+  const syncStartedRef = useRef(0);
+  const onRenderRef = useRef(onRender);
+  onRenderRef.current = onRender;
 
+  // One cluster group for the life of the map; the effect below only diffs
+  // markers into it
   useEffect(() => {
-    if (!map || !geocodedData || geocodedData.length === 0) return;
-
-    // Clear existing cluster group
-    if (markerClusterGroupRef.current) {
-      map.removeLayer(markerClusterGroupRef.current);
-    }
+    if (!map) return undefined;
+    const markers = markersRef.current;
 
-    // Create new cluster group with custom styling
     const markerClusterGroup = L.markerClusterGroup({
       maxClusterRadius: 50,
       spiderfyOnMaxZoom: true,
       showCoverageOnHover: false,
       zoomToBoundsOnClick: true,
+      // Large uploads are clustered a few hundred markers at a time so the
+      // page stays responsive; updates wait until the last chunk is in
+      chunkedLoading: true,
+      chunkProgress: (processed, total) => {
+        if (processed < total) return;
+        loadingRef.current = false;
+        reportRender(onRenderRef.current, syncStartedRef.current, markersRef.current.size);
+        if (pendingSyncRef.current) {
+          pendingSyncRef.current = false;
+          // Let markercluster finish this batch before starting the next
+          setTimeout(() => syncRef.current && syncRef.current(), 0);
+        }
+      },
       iconCreateFunction: function(cluster) {
+        const { metric: activeMetric, isComparison: comparing, formatDisplay } = contextRef.current;
         const count = cluster.getChildCount();
-        const markers = cluster.getAllChildMarkers();
-        const totalSales = markers.reduce((sum, marker) => {
-          return sum + (marker.options.sales || 0);
-        }, 0);
-        const avgSales = totalSales / count;
-        
+        const sums = getClusterSums(cluster, sumsVersionRef.current);
+        const total = combineMetricValues([sums], activeMetric).total;
+        const average = sums.value / (sums.count || 1);
+        // In comparison mode the badge shows the cluster's net change
+        const netChange = comparing ? summarizeComparison([sums], activeMetric).change : null;
+
         // Create custom cluster icon
         const size = count < 10 ? 40 : count < 100 ? 50 : 60;
-        const color = getColor(avgSales);
-        const totalSalesText = formatSales(totalSales);
-        
+        const color = contextRef.current.getColor(average);
+        const totalText = formatDisplay(comparing ? netChange : total);
+
         // Store cluster data for popup
-        cluster.totalSales = totalSales;
-        cluster.avgSales = avgSales;
+        cluster.totalValue = comparing ? netChange : total;
+        cluster.avgValue = average;
         cluster.markerCount = count;
-        
+
         return L.divIcon({
           html: `<div class="cluster-badge" style="
             width: ${size}px;
             height: ${size}px;
             background: linear-gradient(135deg, ${color} 0%, ${adjustColor(color, -18)} 100%);
+            color: ${getContrastText(color)};
           ">
             <div class="cluster-ring"></div>
             <div class="cluster-content">
               <div class="cluster-count">${count}</div>
-              <div class="cluster-sales">${totalSalesText}</div>
+              <div class="cluster-sales">${totalText}</div>
             </div>
           </div>`,
           className: "custom-cluster-icon",
@@ -66,86 +172,17 @@ const PincodeCluster = ({
       }
     });
 
-    // Add markers to cluster group
-    geocodedData.forEach((item) => {
-      const radius = getRadius(item.sales);
-      const salesText = formatSales(item.sales);
-      const color = getColor(item.sales);
-      const isSelected = selectedPincode === item.pincode;
-      
-      // Create custom marker icon with better design
-      const customIcon = L.divIcon({
-        className: "custom-sales-marker",
-        html: `<div class="sales-marker-container" style="
-          width: ${radius * 2}px;
-          height: ${radius * 2}px;
-        ">
-          <div class="sales-marker-glow" style="
-            background: ${adjustColor(color, -30)};
-            width: ${radius * 2}px;
-            height: ${radius * 2}px;
-          "></div>
-          <div class="sales-marker-circle ${isSelected ? "is-selected" : ""}" style="
-            background: linear-gradient(135deg, ${color} 0%, ${adjustColor(color, -22)} 100%);
-            width: ${radius * 2}px;
-            height: ${radius * 2}px;
-            font-size: ${Math.max(10, Math.min(16, radius * 0.65))}px;
-          ">${salesText}</div>
-        </div>`,
-        iconSize: [radius * 2, radius * 2],
-        iconAnchor: [radius, radius]
-      });
-
-      const marker = L.marker(item.coordinates, {
-        icon: customIcon,
-        sales: item.sales,
-        pincode: item.pincode
-      });
-
-      // Add tooltip on hover
-      marker.bindTooltip(
-        `<div style="text-align: center; font-weight: bold;">
-          <div>Pincode: ${item.pincode}</div>
-          <div style="color: ${color}; margin-top: 4px;">Sales: ${salesText}</div>
-        </div>`,
-        {
-          permanent: false,
-          direction: 'top',
-          offset: [0, -radius - 5],
-          className: 'custom-tooltip',
-          opacity: 0.95
-        }
-      );
-
-      // Add popup on click
-      marker.bindPopup(
-        `<div style="text-align: center; padding: 5px;">
-          <strong style="font-size: 16px;">Pincode: ${item.pincode}</strong>
-          <br />
-          <div style="color: ${color}; font-size: 18px; font-weight: bold; margin-top: 8px;">
-            Sales: ${salesText}
-          </div>
-        </div>`
-      );
-
-      marker.on("click", () => {
-        if (onSelect) {
-          onSelect(item);
-        }
-      });
-
-      markerClusterGroup.addLayer(marker);
-    });
-
     // Add popup to cluster groups
-    markerClusterGroup.on('clusterclick', function(a) {
+    markerClusterGroup.on("clusterclick", function(a) {
+      const { metric: activeMetric, isComparison: comparing, formatDisplay } = contextRef.current;
       const cluster = a.layer;
-      const count = cluster.getChildCount();
-      const totalSales = cluster.totalSales || 0;
-      const avgSales = cluster.avgSales || 0;
-      const totalSalesText = formatSales(totalSales);
-      const avgSalesText = formatSales(avgSales);
-      
+      const count = getClusterSums(cluster, sumsVersionRef.current).memberCount;
+      const totalValue = cluster.totalValue || 0;
+      const avgValue = cluster.avgValue || 0;
+      const totalText = formatDisplay(totalValue);
+      const avgText = formatDisplay(avgValue);
+      const color = contextRef.current.getColor(avgValue);
+
       const popupContent = `
         <div style="text-align: center; padding: 10px; min-width: 200px;">
           <strong style="font-size: 18px;">Cluster Information</strong>
@@ -153,15 +190,15 @@ const PincodeCluster = ({
           <div style="margin: 8px 0;">
             <strong>Pincodes:</strong> ${count}
           </div>
-          <div style="margin: 8px 0; color: ${getColor(avgSales)};">
-            <strong>Total Sales:</strong> ${totalSalesText}
+          <div style="margin: 8px 0; color: ${color};">
+            <strong>${comparing ? "Net change in" : activeMetric.type === "ratio" ? "Overall" : "Total"} ${activeMetric.label}:</strong> ${totalText}
           </div>
-          <div style="margin: 8px 0; color: ${getColor(avgSales)};">
-            <strong>Average Sales:</strong> ${avgSalesText}
+          <div style="margin: 8px 0; color: ${color};">
+            <strong>Average ${activeMetric.label}${comparing ? " change" : ""}:</strong> ${avgText}
           </div>
         </div>
       `;
-      
+
       L.popup()
         .setLatLng(cluster.getLatLng())
         .setContent(popupContent)
@@ -171,13 +208,144 @@ const PincodeCluster = ({
     map.addLayer(markerClusterGroup);
     markerClusterGroupRef.current = markerClusterGroup;
 
-    // Cleanup
     return () => {
-      if (markerClusterGroupRef.current) {
-        map.removeLayer(markerClusterGroupRef.current);
+      map.removeLayer(markerClusterGroup);
+      markerClusterGroupRef.current = null;
+      markers.clear();
+      loadingRef.current = false;
+      pendingSyncRef.current = false;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const previousContext = contextRef.current;
+    contextRef.current = buildMarkerContext({
+      getColor,
+      getRadius,
+      formatValue,
+      formatChangePct,
+      metric,
+      isComparison,
+      selectedPincode,
+      onSelect
+    });
+    // Cluster badges depend on these, so every cluster icon is redrawn
+    if (
+      !previousContext ||
+      previousContext.getColor !== getColor ||
+      previousContext.formatValue !== formatValue ||
+      previousContext.metric !== metric ||
+      previousContext.isComparison !== isComparison
+    ) {
+      clustersStaleRef.current = true;
+    }
+
+    // Add, restyle and remove only the markers that changed since last time
+    const sync = () => {
+      const markerClusterGroup = markerClusterGroupRef.current;
+      if (!markerClusterGroup) return;
+      if (loadingRef.current) {
+        pendingSyncRef.current = true;
+        return;
+      }
+      syncStartedRef.current = window.performance.now();
+      const context = contextRef.current;
+      const markers = markersRef.current;
+      const seen = new Set();
+      const toAdd = [];
+      const toRemove = [];
+      const restyled = [];
+
+      (geocodedData || []).forEach((item) => {
+        const key = String(item.pincode);
+        seen.add(key);
+        const view = buildMarkerView(item, context);
+        const existing = markers.get(key);
+        if (existing && existing.view.key === view.key) {
+          existing.item = item;
+          return;
+        }
+        const moved = existing && (
+          existing.view.latLng[0] !== view.latLng[0] || existing.view.latLng[1] !== view.latLng[1]
+        );
+        if (existing && !moved) {
+          const { marker } = existing;
+          existing.view = view;
+          existing.item = item;
+          Object.assign(marker.options, getMarkerFields(item));
+          marker.setIcon(getMarkerIcon(view));
+          marker.getTooltip().options.offset = L.point(0, -view.radius - 5);
+          restyled.push(marker);
+          return;
+        }
+        if (existing) toRemove.push(existing.marker);
+
+        const marker = L.marker(view.latLng, {
+          icon: getMarkerIcon(view),
+          ...getMarkerFields(item),
+          pincode: item.pincode
+        });
+        const entry = { marker, view, item };
+        // Content is built when opened, so restyling only swaps the icon
+        marker.bindTooltip(() => getTooltipHtml(entry.view), {
+          permanent: false,
+          direction: "top",
+          offset: [0, -view.radius - 5],
+          className: "custom-tooltip",
+          opacity: 0.95
+        });
+        if (!item.level) {
+          marker.bindPopup(() => getPopupHtml(entry.view), item.stack ? { maxWidth: 320 } : {});
+        }
+        marker.on("click", () => {
+          const handleSelect = contextRef.current.onSelect;
+          if (handleSelect && !entry.item.stack) {
+            handleSelect(entry.item);
+          }
+        });
+        markers.set(key, entry);
+        toAdd.push(marker);
+      });
+
+      markers.forEach((entry, key) => {
+        if (!seen.has(key)) {
+          toRemove.push(entry.marker);
+          markers.delete(key);
+        }
+      });
+
+      if (toAdd.length > 0 || toRemove.length > 0 || restyled.length > 0) {
+        sumsVersionRef.current += 1;
+      }
+      if (toRemove.length > 0) markerClusterGroup.removeLayers(toRemove);
+      if (clustersStaleRef.current) {
+        clustersStaleRef.current = false;
+        markerClusterGroup.refreshClusters();
+      } else if (restyled.length > 0) {
+        markerClusterGroup.refreshClusters(restyled);
+      }
+      if (toAdd.length > 0) {
+        loadingRef.current = true;
+        markerClusterGroup.addLayers(toAdd);
+      } else {
+        reportRender(onRenderRef.current, syncStartedRef.current, markers.size);
       }
     };
-  }, [map, geocodedData, getColor, getRadius, formatSales, selectedPincode, onSelect]);
+
+    syncRef.current = sync;
+    sync();
+  }, [
+    map,
+    geocodedData,
+    getColor,
+    getRadius,
+    formatValue,
+    formatChangePct,
+    metric,
+    isComparison,
+    selectedPincode,
+    onSelect
+  ]);
 
   return null;
 };
@@ -1,9 +1,100 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Map as LeafletMap, TileLayer, useLeaflet } from "react-leaflet";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  CircleMarker,
+  Map as LeafletMap,
+  TileLayer,
+  Tooltip,
+  useLeaflet
+} from "react-leaflet";
 import L from "leaflet";
 import "leaflet.heat";
-import { geocodePincodeWithMeta } from "../utils/geocode";
+import {
+  getLocalCoordinates,
+  getLocalityName,
+  saveManualCoordinates
+} from "../utils/geocode";
+import {
+  CLASSIFICATION_SCHEMES,
+  PALETTES,
+  buildScale,
+  getClassSpan,
+  getPalette,
+  isInSpans,
+  parseBreaks,
+  spansOverlap
+} from "../utils/classification";
+import { DEFAULT_RING_RADII_KM, analyzeCatchment, parseRingRadii } from "../utils/catchment";
+import { OVERLAP_MODES, spreadColocated, stackColocated } from "../utils/colocation";
+import { createGeocodeJob } from "../utils/geocodeJob";
+import { VIEWPORT_PADDING, createSpatialIndex } from "../utils/spatialIndex";
+import { BIN_SIZES_KM, binPoints, getAutoBinSize } from "../utils/binning";
+import {
+  HEAT_GRADIENTS,
+  HEAT_MAX_INTENSITIES,
+  HEAT_NORMALIZATIONS,
+  createHeatNormalizer,
+  getHeatGradient,
+  getHeatGradientCss
+} from "../utils/heatmap";
+import {
+  loadSavedShapes,
+  selectItemsInShape,
+  storeSavedShapes,
+  summarizeSelection
+} from "../utils/selection";
+import { joinForComparison, summarizeComparison } from "../utils/comparison";
+import { downloadCsv, parseCsv } from "../utils/csv";
+import {
+  POSTAL_LEVELS,
+  getChildLevel,
+  getGroupLabel,
+  getPostalLevel,
+  rollUpByLevel
+} from "../utils/postalHierarchy";
+import {
+  buildMetricOptions,
+  combineMetricValues,
+  formatMetricValue,
+  getMetricValue,
+  normalizeDataset
+} from "../utils/metrics";
+import {
+  CURRENCIES,
+  GROUPING_LOCALES,
+  NOTATIONS,
+  formatPercent,
+  loadNumberFormat,
+  storeNumberFormat
+} from "../utils/numberFormat";
+import {
+  buildUploadDataset,
+  detectColumnMapping,
+  getHeaderSignature,
+  isMappingComplete,
+  loadSavedMapping,
+  saveMapping
+} from "../utils/upload";
+import {
+  buildTimeline,
+  formatPeriodLabel,
+  hasDatedRecords,
+  sliceItemsByPeriods
+} from "../utils/timeSeries";
+import BinLayer from "./BinLayer";
+import CanvasPointLayer, { CANVAS_POINT_THRESHOLD } from "./CanvasPointLayer";
+import CatchmentPanel from "./CatchmentPanel";
+import CatchmentRings from "./CatchmentRings";
+import ColumnMappingDialog from "./ColumnMappingDialog";
+import CoordinateCacheDialog from "./CoordinateCacheDialog";
+import MapLegend from "./MapLegend";
+import PerformanceOverlay from "./PerformanceOverlay";
 import PincodeCluster from "./PincodeCluster";
+import PincodeReview from "./PincodeReview";
+import PincodeSearch from "./PincodeSearch";
+import SelectionLayer from "./SelectionLayer";
+import SelectionPanel from "./SelectionPanel";
+import TimelineControls from "./TimelineControls";
+import UnresolvedPincodes from "./UnresolvedPincodes";
 
 // Fix for default marker icons in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -28,31 +119,85 @@ const FitBounds = ({ bounds }) => {
   return null;
 };
 
-const HeatmapLayer = ({ points, options }) => {
+// Hands the Leaflet map instance to the parent (react-leaflet 2 has no whenCreated)
+const MapInstance = ({ onReady }) => {
   const { map } = useLeaflet();
-  const layerRef = useRef(null);
 
   useEffect(() => {
-    if (!map) return;
+    if (map) onReady(map);
+  }, [map, onReady]);
 
-    if (layerRef.current) {
-      map.removeLayer(layerRef.current);
-      layerRef.current = null;
-    }
+  return null;
+};
 
-    if (!points || points.length === 0) return;
+// Reports map clicks while a location is being picked by hand
+const MapClickPicker = ({ onPick }) => {
+  const { map } = useLeaflet();
 
-    const layer = L.heatLayer(points, options);
-    layer.addTo(map);
-    layerRef.current = layer;
+  useEffect(() => {
+    if (!map || !onPick) return undefined;
+    const handleClick = (event) => onPick([event.latlng.lat, event.latlng.lng]);
+    const container = map.getContainer();
+    map.on("click", handleClick);
+    container.classList.add("is-picking");
+    return () => {
+      map.off("click", handleClick);
+      container.classList.remove("is-picking");
+    };
+  }, [map, onPick]);
+
+  return null;
+};
+
+// Reports the padded view bounds after every pan and zoom
+const ViewportWatcher = ({ onChange }) => {
+  const { map } = useLeaflet();
 
+  useEffect(() => {
+    if (!map) return undefined;
+    const handleMoveEnd = () => {
+      const bounds = map.getBounds().pad(VIEWPORT_PADDING);
+      onChange({
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast(),
+        zoom: map.getZoom()
+      });
+    };
+    handleMoveEnd();
+    map.on("moveend", handleMoveEnd);
     return () => {
-      if (layerRef.current) {
-        map.removeLayer(layerRef.current);
-        layerRef.current = null;
-      }
+      map.off("moveend", handleMoveEnd);
+    };
+  }, [map, onChange]);
+
+  return null;
+};
+
+// One heat layer for every point; new points and settings are handed to it
+// instead of rebuilding it
+const HeatmapLayer = ({ points, options }) => {
+  const { map } = useLeaflet();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    if (!map) return undefined;
+    const layer = L.heatLayer([]).addTo(map);
+    layerRef.current = layer;
+    return () => {
+      map.removeLayer(layer);
+      layerRef.current = null;
     };
-  }, [map, points, options]);
+  }, [map]);
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setOptions(options);
+  }, [map, options]);
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setLatLngs(points);
+  }, [map, points]);
 
   return null;
 };
@@ -113,12 +258,11 @@ const TILE_LAYERS = {
   }
 };
 
-const parseCsvText = (text) => {
-  const safeText = typeof text === "string" ? text : "";
-  const normalized = safeText.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  const lines = normalized.split("\n").filter((line) => line.trim() !== "");
-  return lines.map((line) => line.split(",").map((cell) => cell.trim()));
-};
+const MAX_LISTED_ROW_ERRORS = 50;
+
+const PLAYBACK_INTERVAL_MS = 1200;
+
+const DEFAULT_METRIC = { key: "sales", label: "Sales", type: "sum", format: "currency" };
 
 const PincodeMap = ({ data }) => {
   const [uploadedData, setUploadedData] = useState([]);
@@ -127,102 +271,239 @@ const PincodeMap = ({ data }) => {
     fileName: "",
     validRows: 0,
     invalidRows: 0,
-    usedLatLng: 0
+    rowErrors: [],
+    usedLatLng: 0,
+    invalidLatLng: 0,
+    autoFixed: [],
+    pincodeIssues: []
   });
   const [uploadError, setUploadError] = useState("");
   const [isParsing, setIsParsing] = useState(false);
+  const [showCacheDialog, setShowCacheDialog] = useState(false);
+  const [csvSource, setCsvSource] = useState(null);
+  const [baselineSource, setBaselineSource] = useState(null);
+  const [mappingTarget, setMappingTarget] = useState(null);
   const [geocodedData, setGeocodedData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [geocodeProgress, setGeocodeProgress] = useState({
     current: 0,
     total: 0,
-    failures: 0
+    failures: 0,
+    failed: [],
+    status: "idle"
   });
+  const geocodeJobRef = useRef(null);
+  const retryJobRef = useRef(null);
+  const [isRetrying, setIsRetrying] = useState(false);
+  const [pickingPincode, setPickingPincode] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
-  const [minSalesFilter, setMinSalesFilter] = useState("");
-  const [maxSalesFilter, setMaxSalesFilter] = useState("");
+  const [hiddenRanges, setHiddenRanges] = useState([]);
+  const [metricKey, setMetricKey] = useState("sales");
   const [limit, setLimit] = useState("all");
   const [tileStyle, setTileStyle] = useState("imagery");
   const [autoFit, setAutoFit] = useState(true);
-  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [visualization, setVisualization] = useState("points");
+  const [binSize, setBinSize] = useState("auto");
+  const [binValue, setBinValue] = useState("total");
+  const [hiddenCellRanges, setHiddenCellRanges] = useState([]);
+  const [heatNormalization, setHeatNormalization] = useState("linear");
+  const [heatRadius, setHeatRadius] = useState(25);
+  const [heatBlur, setHeatBlur] = useState(15);
+  const [heatMax, setHeatMax] = useState(1);
+  const [heatGradientKey, setHeatGradientKey] = useState("heat");
+  const [rendererMode, setRendererMode] = useState("auto");
+  const [viewport, setViewport] = useState(null);
+  const [showPerformance, setShowPerformance] = useState(false);
+  const [renderStats, setRenderStats] = useState(null);
+  const [numberFormat, setNumberFormat] = useState(loadNumberFormat);
+  const [classScheme, setClassScheme] = useState("linear");
+  const [classCount, setClassCount] = useState(5);
+  const [manualBreaksText, setManualBreaksText] = useState("");
+  const [sequentialPaletteKey, setSequentialPaletteKey] = useState("classic");
+  const [divergingPaletteKey, setDivergingPaletteKey] = useState("change");
+  const [overlapMode, setOverlapMode] = useState("overlap");
+  const [selectionTool, setSelectionTool] = useState(null);
+  const [selectionShape, setSelectionShape] = useState(null);
+  const [savedShapes, setSavedShapes] = useState(loadSavedShapes);
+  const [catchmentSite, setCatchmentSite] = useState(null);
+  const [isPlacingSite, setIsPlacingSite] = useState(false);
+  const [ringRadiiText, setRingRadiiText] = useState(DEFAULT_RING_RADII_KM.join(", "));
+  const [timeGranularity, setTimeGranularity] = useState("month");
+  const [timeWindow, setTimeWindow] = useState("period");
+  const [periodIndex, setPeriodIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [compareMode, setCompareMode] = useState("off");
+  const [baselinePeriod, setBaselinePeriod] = useState("previous");
+  const [baselineUpload, setBaselineUpload] = useState(null);
+  const [baselineError, setBaselineError] = useState("");
+  const [aggregationLevel, setAggregationLevel] = useState("pincode");
+  const [drillPrefix, setDrillPrefix] = useState("");
   const [selectedPincode, setSelectedPincode] = useState(null);
+  const [searchedLocation, setSearchedLocation] = useState(null);
+  const [flyTarget, setFlyTarget] = useState(null);
   const [mapInstance, setMapInstance] = useState(null);
-  const sourceData = uploadMeta.hasFile ? uploadedData : data;
+  const bundledData = useMemo(() => normalizeDataset(data), [data]);
+  const sourceData = uploadMeta.hasFile ? uploadedData : bundledData;
+  const metricOptions = useMemo(() => buildMetricOptions(sourceData), [sourceData]);
+  const activeMetric = metricOptions.find((metric) => metric.key === metricKey) ||
+    metricOptions[0] ||
+    DEFAULT_METRIC;
+  const hasTimeSeries = useMemo(() => hasDatedRecords(sourceData), [sourceData]);
+  const timeline = useMemo(() => (
+    hasTimeSeries ? buildTimeline(sourceData, timeGranularity) : []
+  ), [sourceData, hasTimeSeries, timeGranularity]);
+  const currentPeriodIndex = Math.min(periodIndex, Math.max(timeline.length - 1, 0));
 
+  // Geocode the active dataset in the background. A new dataset cancels the
+  // previous job so two runs never race to write state.
   useEffect(() => {
-    const loadData = async () => {
-      setLoading(true);
-      const geocoded = [];
-      const geocodeTargets = sourceData
-        ? sourceData.filter((item) => !item.coordinates)
-        : [];
-      const geocodeTotal = geocodeTargets.length;
-      let failures = 0;
-      setGeocodeProgress({ current: 0, total: geocodeTotal, failures: 0 });
-
-      if (sourceData && sourceData.length > 0) {
-        let index = 0;
-        for (const item of sourceData) {
-          if (item.coordinates) {
-            geocoded.push(item);
-            setGeocodedData([...geocoded]);
-            index += 1;
-            setGeocodeProgress({ current: index, total: geocodeTotal, failures });
-            continue;
-          }
-          const result = await geocodePincodeWithMeta(item.pincode);
-          if (result.coords) {
-            geocoded.push({
-              ...item,
-              coordinates: result.coords,
-            });
-            setGeocodedData([...geocoded]);
-          } else {
-            failures += 1;
-          }
-          // Add delay only when we made an API call
-          if (result.source === "api") {
-            await new Promise(resolve => setTimeout(resolve, 300));
-          }
-          index += 1;
-          setGeocodeProgress({ current: index, total: geocodeTotal, failures });
-        }
+    let active = true;
+    const job = createGeocodeJob(sourceData, {
+      onProgress: (progress) => {
+        if (!active) return;
+        setGeocodedData(progress.items);
+        setGeocodeProgress({
+          current: progress.current,
+          total: progress.total,
+          failures: progress.failures,
+          failed: progress.failed,
+          status: progress.status
+        });
+        setLoading(progress.status === "running" || progress.status === "paused");
       }
+    });
+    geocodeJobRef.current = job;
+    job.start();
 
-      setGeocodedData(geocoded);
-      setLoading(false);
+    return () => {
+      active = false;
+      job.cancel();
+      if (retryJobRef.current) retryJobRef.current.cancel();
+      setPickingPincode(null);
     };
-
-    loadData();
   }, [sourceData]);
 
-  // Format sales value for display
-  const formatSales = (sales) => {
-    if (sales >= 1000000) {
-      return `₹${(sales / 1000000).toFixed(2)}M`;
-    } else if (sales >= 1000) {
-      return `₹${(sales / 1000).toFixed(1)}K`;
+  // Format a value of the active metric for display
+  const formatValue = useCallback(
+    (value) => formatMetricValue(value, activeMetric, numberFormat),
+    [activeMetric, numberFormat]
+  );
+  const formatChangePct = useCallback((changePct) => (
+    changePct === null ? "new" : formatPercent(changePct, numberFormat, true)
+  ), [numberFormat]);
+  const formatChange = useCallback((value) => (
+    value > 0 ? `+${formatValue(value)}` : formatValue(value)
+  ), [formatValue]);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    if (currentPeriodIndex >= timeline.length - 1) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      setPeriodIndex(currentPeriodIndex + 1);
+    }, PLAYBACK_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, currentPeriodIndex, timeline.length]);
+
+  // With dated records, metrics are re-aggregated for the current window
+  const windowedData = useMemo(() => {
+    if (timeline.length === 0) return geocodedData;
+    const windowPeriods = timeWindow === "cumulative"
+      ? timeline.slice(0, currentPeriodIndex + 1)
+      : [timeline[currentPeriodIndex]];
+    return sliceItemsByPeriods(geocodedData, timeGranularity, windowPeriods);
+  }, [geocodedData, timeline, timeWindow, currentPeriodIndex, timeGranularity]);
+
+  // Baseline for comparison mode: another period of the same dataset or a
+  // second upload
+  const baselinePeriodIndex = baselinePeriod === "previous"
+    ? currentPeriodIndex - 1
+    : Number(baselinePeriod);
+  const baselineData = useMemo(() => {
+    if (compareMode === "upload") {
+      return baselineUpload ? baselineUpload.items : null;
     }
-    return `₹${sales}`;
-  };
+    if (compareMode === "period") {
+      if (!timeline[baselinePeriodIndex]) return null;
+      // Same kind of window as the current side, so running totals are
+      // compared with running totals
+      const baselinePeriods = timeWindow === "cumulative"
+        ? timeline.slice(0, baselinePeriodIndex + 1)
+        : [timeline[baselinePeriodIndex]];
+      return sliceItemsByPeriods(geocodedData, timeGranularity, baselinePeriods);
+    }
+    return null;
+  }, [
+    compareMode,
+    baselineUpload,
+    timeline,
+    timeWindow,
+    baselinePeriodIndex,
+    geocodedData,
+    timeGranularity
+  ]);
+  const isComparing = Boolean(baselineData);
+
+  // Resolve the active metric for every item; items without a value for it
+  // (e.g. a ratio with a zero denominator) are left off the map. When
+  // comparing, `value` is the change against the baseline instead.
+  const metricData = useMemo(() => {
+    if (baselineData) {
+      // Baseline-only pincodes skip geocoding, so look their names up here
+      return joinForComparison(windowedData, baselineData, activeMetric, getLocalCoordinates)
+        .map((row) => (row.locality ? row : { ...row, locality: getLocalityName(row.pincode) }));
+    }
+    return windowedData
+      .map((item) => ({ ...item, ...getMetricValue(item, activeMetric) }))
+      .filter((item) => item.value !== null);
+  }, [windowedData, baselineData, activeMetric]);
+
+  const normalizedSearch = searchTerm.trim().toLowerCase();
+
+  // Inside a drilled-into group the next finer level is shown
+  const currentLevel = drillPrefix
+    ? getChildLevel(drillPrefix)
+    : getPostalLevel(aggregationLevel);
+  const breadcrumbs = useMemo(() => {
+    const rootDigits = getPostalLevel(aggregationLevel).digits;
+    return POSTAL_LEVELS
+      .filter((level) => level.digits >= rootDigits && level.digits <= drillPrefix.length)
+      .map((level) => drillPrefix.slice(0, level.digits))
+      .reverse();
+  }, [aggregationLevel, drillPrefix]);
 
-  const normalizedSearch = searchTerm.trim();
-  const minFilterValue = minSalesFilter === "" ? null : Number(minSalesFilter);
-  const maxFilterValue = maxSalesFilter === "" ? null : Number(maxSalesFilter);
+  // Value of a merged group of rows (postal roll-ups and stacked markers)
+  const resolveGroupValue = useCallback((members) => {
+    if (isComparing) {
+      const summary = summarizeComparison(members, activeMetric);
+      return {
+        value: summary.change,
+        currentValue: summary.current,
+        baselineValue: summary.baseline,
+        changePct: summary.changePct
+      };
+    }
+    return { value: combineMetricValues(members, activeMetric).total };
+  }, [isComparing, activeMetric]);
 
+  // Search and drill-down pick pincodes; the legend's class filter applies to
+  // what is shown, i.e. to group totals when rolled up
   const filteredData = useMemo(() => {
-    return geocodedData.filter((item) => {
+    const matching = metricData.filter((item) => {
+      const pincode = item.pincode.toString();
       const matchesSearch = normalizedSearch
-        ? item.pincode.toString().includes(normalizedSearch)
+        ? pincode.includes(normalizedSearch) ||
+          (item.locality || "").toLowerCase().includes(normalizedSearch)
         : true;
-      const matchesMin = minFilterValue === null ? true : item.sales >= minFilterValue;
-      const matchesMax = maxFilterValue === null ? true : item.sales <= maxFilterValue;
-      return matchesSearch && matchesMin && matchesMax;
+      return matchesSearch && pincode.startsWith(drillPrefix);
     });
-  }, [geocodedData, normalizedSearch, minFilterValue, maxFilterValue]);
+    return rollUpByLevel(matching, currentLevel.key, resolveGroupValue);
+  }, [metricData, normalizedSearch, drillPrefix, currentLevel.key, resolveGroupValue]);
 
-  const displayData = useMemo(() => {
-    const sorted = [...filteredData].sort((a, b) => b.sales - a.sales);
+  const rankedData = useMemo(() => {
+    const sorted = [...filteredData].sort((a, b) => b.value - a.value);
     if (limit === "all") {
       return sorted;
     }
@@ -230,71 +511,192 @@ const PincodeMap = ({ data }) => {
     return Number.isNaN(limitValue) ? sorted : sorted.slice(0, limitValue);
   }, [filteredData, limit]);
 
-  const salesValues = useMemo(() => (
-    displayData.length > 0 ? displayData.map(item => item.sales) : [0]
-  ), [displayData]);
-  const minSales = salesValues.length > 0 ? Math.min(...salesValues) : 0;
-  const maxSales = salesValues.length > 0 ? Math.max(...salesValues) : 1;
+  // Comparisons use a diverging palette centred on no change
+  const palette = isComparing
+    ? getPalette(divergingPaletteKey, "diverging")
+    : getPalette(sequentialPaletteKey, "sequential");
+  const manualBreaks = useMemo(() => parseBreaks(manualBreaksText), [manualBreaksText]);
+  // The scale covers everything ranked, so hiding a class in the legend
+  // doesn't recolour the rest
+  const scale = useMemo(() => (
+    buildScale(rankedData.map(item => item.value), {
+      scheme: classScheme,
+      palette,
+      classCount,
+      manualBreaks
+    })
+  ), [rankedData, classScheme, palette, classCount, manualBreaks]);
+  const { getColor, getRadius } = scale;
+  const classCounts = useMemo(() => {
+    const counts = scale.classes.map(() => 0);
+    rankedData.forEach((item) => {
+      counts[scale.classOf(item.value)] += 1;
+    });
+    return counts;
+  }, [rankedData, scale]);
+  // The legend hides value ranges rather than class numbers: filters, the
+  // limit, geocoding and the timeline all move the breaks, and a hidden range
+  // has to keep hiding the same values through them
+  const hiddenClasses = useMemo(() => (
+    scale.classes
+      .filter((entry) => hiddenRanges.some((range) => (
+        spansOverlap(range, getClassSpan(scale.classes, entry.index))
+      )))
+      .map((entry) => entry.index)
+  ), [scale, hiddenRanges]);
+
+  const displayData = useMemo(() => (
+    hiddenRanges.length === 0
+      ? rankedData
+      : rankedData.filter((item) => !isInSpans(item.value, hiddenRanges))
+  ), [rankedData, hiddenRanges]);
 
-  // Function to get color based on sales value
-  const getColor = (sales) => {
-    if (maxSales === minSales) return "#3388ff";
-    const ratio = (sales - minSales) / (maxSales - minSales);
-    // Color gradient from blue (low) to red (high) - improved colors
-    const r = Math.floor(50 + 205 * ratio);
-    const g = Math.floor(100 * (1 - ratio));
-    const b = Math.floor(200 + 55 * (1 - ratio));
-    return `rgb(${r}, ${g}, ${b})`;
-  };
+  // Pincodes sharing a coordinate are drawn as chosen in the toolbar;
+  // rolled-up groups already sit at their own centroids
+  const markerData = useMemo(() => {
+    if (currentLevel.key !== "pincode" || overlapMode === "overlap") return displayData;
+    return overlapMode === "spread"
+      ? spreadColocated(displayData)
+      : stackColocated(displayData, resolveGroupValue);
+  }, [displayData, currentLevel.key, overlapMode, resolveGroupValue]);
 
-  // Function to get radius based on sales value
-  const getRadius = (sales) => {
-    if (maxSales === minSales) return 8;
-    const ratio = (sales - minSales) / (maxSales - minSales);
-    return 5 + ratio * 20; // Radius between 5 and 25
-  };
+  const showHeatmap = visualization === "heatmap";
+  const showBins = visualization === "hexbin" || visualization === "grid";
+
+  // Auto cells shrink as the map zooms in, so zooming re-bins
+  const cellKm = binSize === "auto"
+    ? getAutoBinSize(viewport ? viewport.zoom : 5)
+    : Number(binSize);
+  const cells = useMemo(() => (
+    showBins
+      ? binPoints(displayData, { shape: visualization, cellKm, resolveValue: resolveGroupValue })
+      : []
+  ), [showBins, displayData, visualization, cellKm, resolveGroupValue]);
+  // Cells get their own classes; pincode values would put most cells in the top one
+  const binScale = useMemo(() => (
+    buildScale(cells.map((cell) => (binValue === "average" ? cell.average : cell.total)), {
+      scheme: classScheme,
+      palette,
+      classCount,
+      manualBreaks
+    })
+  ), [cells, binValue, classScheme, palette, classCount, manualBreaks]);
+  const cellClassCounts = useMemo(() => {
+    const counts = binScale.classes.map(() => 0);
+    cells.forEach((cell) => {
+      counts[binScale.classOf(binValue === "average" ? cell.average : cell.total)] += 1;
+    });
+    return counts;
+  }, [cells, binScale, binValue]);
+  // Cell classes move whenever the map re-bins, so like the point legend the
+  // cell legend hides value ranges
+  const hiddenCellClasses = useMemo(() => (
+    binScale.classes
+      .filter((entry) => hiddenCellRanges.some((range) => (
+        spansOverlap(range, getClassSpan(binScale.classes, entry.index))
+      )))
+      .map((entry) => entry.index)
+  ), [binScale, hiddenCellRanges]);
+  // Only cells near the view are drawn; small cells over all of India run to
+  // tens of thousands
+  const visibleCells = useMemo(() => (
+    cells.filter((cell) => {
+      const [lat, lng] = cell.center;
+      const value = binValue === "average" ? cell.average : cell.total;
+      return !isInSpans(value, hiddenCellRanges) && (!viewport || (
+        lat >= viewport.south && lat <= viewport.north &&
+        lng >= viewport.west && lng <= viewport.east
+      ));
+    })
+  ), [cells, binValue, hiddenCellRanges, viewport]);
+  // Cells are all one size, so the legend draws every class the same
+  const cellLegendClasses = useMemo(() => (
+    binScale.classes.map((entry) => ({ ...entry, radius: 15 }))
+  ), [binScale]);
+
+  // Past a few thousand points DOM markers get sluggish, so draw on a canvas
+  const useCanvas = rendererMode === "canvas" ||
+    (rendererMode === "auto" && markerData.length > CANVAS_POINT_THRESHOLD);
 
+  // Only points near the view go to the marker layers; panning hands over
+  // the difference
+  const markerIndex = useMemo(() => createSpatialIndex(markerData), [markerData]);
+  const visibleMarkers = useMemo(() => {
+    const started = window.performance.now();
+    const items = viewport ? markerIndex.query(viewport) : markerData;
+    return { items, queryMs: window.performance.now() - started };
+  }, [markerIndex, markerData, viewport]);
+
+  const selectedRows = useMemo(() => (
+    selectItemsInShape(displayData, selectionShape)
+  ), [displayData, selectionShape]);
+  const selectionSummary = useMemo(() => (
+    summarizeSelection(selectedRows, activeMetric)
+  ), [selectedRows, activeMetric]);
+
+  // Catchment rings cover every located pincode, not just what the filters show
+  const ringRadii = useMemo(() => (
+    parseRingRadii(ringRadiiText) || DEFAULT_RING_RADII_KM
+  ), [ringRadiiText]);
+  const catchment = useMemo(() => (
+    catchmentSite
+      ? analyzeCatchment(metricData, catchmentSite.coordinates, activeMetric, ringRadii)
+      : null
+  ), [catchmentSite, metricData, activeMetric, ringRadii]);
+
+  // Keep the frame fixed across timeline periods so playback doesn't jump around
   const displayBounds = useMemo(() => {
-    return displayData.map(item => item.coordinates);
-  }, [displayData]);
-
-  const heatmapGroups = useMemo(() => {
-    if (displayData.length === 0) return [];
-    const values = displayData.map(item => item.sales);
-    const minValue = Math.min(...values);
-    const maxValue = Math.max(...values);
-    const range = maxValue - minValue;
-    const buckets = [
-      { id: "low", radius: 18, blur: 14, points: [] },
-      { id: "mid", radius: 28, blur: 20, points: [] },
-      { id: "high", radius: 38, blur: 26, points: [] }
-    ];
+    return (timeline.length > 0
+      ? geocodedData.filter(item => item.pincode.toString().startsWith(drillPrefix))
+      : displayData
+    ).map(item => item.coordinates);
+  }, [timeline.length, geocodedData, drillPrefix, displayData]);
 
-    displayData.forEach((item) => {
-      const ratio = range === 0 ? 0.5 : (item.sales - minValue) / range;
-      const intensity = range === 0 ? 0.6 : 0.2 + 0.8 * ratio;
-      const bucketIndex = ratio < 0.33 ? 0 : ratio < 0.66 ? 1 : 2;
-      buckets[bucketIndex].points.push([
+  // Weights come from everything ranked, like the colour scale, so hiding a
+  // legend class doesn't reweigh the rest
+  const heatNormalizer = useMemo(() => (
+    createHeatNormalizer(rankedData.map((item) => item.value), heatNormalization)
+  ), [rankedData, heatNormalization]);
+  const heatmapPoints = useMemo(() => (
+    showHeatmap
+      ? displayData.map((item) => [
         item.coordinates[0],
         item.coordinates[1],
-        intensity
-      ]);
-    });
-
-    return buckets.filter(bucket => bucket.points.length > 0);
-  }, [displayData]);
+        heatNormalizer.weigh(item.value)
+      ])
+      : []
+  ), [showHeatmap, displayData, heatNormalizer]);
+  const heatGradient = getHeatGradient(heatGradientKey);
+  const heatmapOptions = useMemo(() => ({
+    radius: heatRadius,
+    blur: heatBlur,
+    max: heatMax,
+    gradient: heatGradient.stops,
+    // Weights add up the same at every zoom; the max intensity sets where
+    // the colour tops out
+    maxZoom: 0,
+    minOpacity: 0.25
+  }), [heatRadius, heatBlur, heatMax, heatGradient]);
+  const legendFormat = isComparing ? formatChange : formatValue;
+  // What a single point needs to reach the top colour
+  const heatMaxLabel = heatMax <= 1
+    ? legendFormat(heatNormalizer.valueAt(heatMax))
+    : `${heatMax} × ${legendFormat(heatNormalizer.valueAt(1))}`;
 
-  const totalSales = useMemo(() => (
-    displayData.reduce((sum, item) => sum + item.sales, 0)
-  ), [displayData]);
-  const averageSales = displayData.length > 0 ? totalSales / displayData.length : 0;
-  const maxDisplaySales = displayData.length > 0
-    ? Math.max(...displayData.map(item => item.sales))
+  const { total: displayTotal, average: averageValue } = useMemo(() => (
+    combineMetricValues(displayData, activeMetric)
+  ), [displayData, activeMetric]);
+  const maxDisplayValue = displayData.length > 0
+    ? Math.max(...displayData.map(item => item.value))
     : 0;
+  const baseMetrics = metricOptions.filter((metric) => metric.type === "sum");
+  const comparisonSummary = useMemo(() => (
+    isComparing ? summarizeComparison(displayData, activeMetric) : null
+  ), [isComparing, displayData, activeMetric]);
 
   const selectedItem = useMemo(() => (
-    geocodedData.find(item => item.pincode === selectedPincode) || null
-  ), [geocodedData, selectedPincode]);
+    metricData.find(item => item.pincode === selectedPincode) || null
+  ), [metricData, selectedPincode]);
   const selectedIsVisible = useMemo(() => (
     displayData.some(item => item.pincode === selectedPincode)
   ), [displayData, selectedPincode]);
@@ -306,32 +708,289 @@ const PincodeMap = ({ data }) => {
     }
   }, [mapInstance, selectedItem, selectedIsVisible]);
 
-  const handleExportCsv = () => {
-    const header = ["pincode", "sales", "lat", "lng"];
-    const rows = displayData.map(item => [
+  // Search picks fly even when the pincode isn't drawn (rolled up or no data).
+  // This runs after FitBounds, so it wins over the refit the cleared search causes.
+  useEffect(() => {
+    if (mapInstance && flyTarget) {
+      const targetZoom = Math.max(mapInstance.getZoom(), 11);
+      mapInstance.flyTo(flyTarget.coordinates, targetZoom, { duration: 0.8 });
+    }
+  }, [mapInstance, flyTarget]);
+
+  const dataPincodes = useMemo(() => (
+    new Set(geocodedData.map((item) => String(item.pincode)))
+  ), [geocodedData]);
+
+  const exportRows = (items, fileName) => {
+    const exportsDerived = activeMetric.type === "ratio";
+    const isGrouped = currentLevel.key !== "pincode";
+    const header = [
+      isGrouped ? `${currentLevel.key}_prefix` : "pincode",
+      isGrouped ? "name" : "locality",
+      ...(isGrouped ? ["pincodes"] : []),
+      ...baseMetrics.map((metric) => metric.key),
+      ...(exportsDerived ? [activeMetric.key] : []),
+      `${activeMetric.key}${isComparing ? "_change" : ""}_formatted`,
+      "lat",
+      "lng"
+    ];
+    const rows = items.map(item => [
       item.pincode,
-      item.sales,
+      isGrouped ? item.label : item.locality || "",
+      ...(isGrouped ? [item.memberCount] : []),
+      ...baseMetrics.map((metric) => (
+        item.metrics[metric.key] === undefined ? "" : item.metrics[metric.key]
+      )),
+      ...(exportsDerived ? [item.value] : []),
+      // Full digits in the chosen grouping and currency, for pasting into reports
+      formatMetricValue(item.value, activeMetric, numberFormat, { abbreviate: false }),
       item.coordinates[0],
       item.coordinates[1]
     ]);
-    const csv = [header, ...rows].map(row => row.join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.setAttribute("download", "pincode_sales_export.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadCsv(fileName, [header, ...rows]);
+  };
+
+  const handleExportCsv = () => exportRows(displayData, "pincode_sales_export.csv");
+
+  const handleToolChange = (tool) => {
+    setPickingPincode(null);
+    setIsPlacingSite(false);
+    setSelectionTool(tool);
+  };
+
+  const handleStartPlacingSite = () => {
+    setPickingPincode(null);
+    setSelectionTool(null);
+    setIsPlacingSite(!isPlacingSite);
+  };
+
+  const handlePlaceSite = (coordinates) => {
+    setCatchmentSite({ label: "Dropped pin", coordinates });
+    setIsPlacingSite(false);
+  };
+
+  const handleUseSelectedSite = () => {
+    if (!selectedItem) return;
+    setCatchmentSite({
+      label: selectedItem.locality
+        ? `${selectedItem.pincode} · ${selectedItem.locality}`
+        : selectedItem.pincode,
+      coordinates: selectedItem.coordinates
+    });
+    setIsPlacingSite(false);
+  };
+
+  const handleDrawEnd = useCallback(() => setSelectionTool(null), []);
+
+  const handleSaveShape = (name) => {
+    const now = Date.now();
+    const next = [...savedShapes, { id: String(now), name, shape: selectionShape, savedAt: now }];
+    setSavedShapes(next);
+    storeSavedShapes(next);
+  };
+
+  const handleLoadShape = (saved) => {
+    const { shape } = saved;
+    setSelectionTool(null);
+    setSelectionShape(shape);
+    if (mapInstance) {
+      const bounds = shape.type === "circle"
+        ? L.latLng(shape.center).toBounds(shape.radius * 2)
+        : L.latLngBounds(shape.type === "rectangle" ? shape.bounds : shape.points);
+      mapInstance.fitBounds(bounds.pad(0.1));
+    }
+  };
+
+  const handleDeleteShape = (id) => {
+    const next = savedShapes.filter((saved) => saved.id !== id);
+    setSavedShapes(next);
+    storeSavedShapes(next);
+  };
+
+  const removeUnresolved = (pincodes) => {
+    setGeocodeProgress((previous) => {
+      const failed = previous.failed.filter((item) => !pincodes.includes(item.pincode));
+      return { ...previous, failed, failures: failed.length };
+    });
+  };
+
+  // Geocode unresolved rows again; rows that still fail replace their old entries
+  const handleRetryUnresolved = (items) => {
+    const pincodes = items.map((item) => item.pincode);
+    const rows = items.map(({ reason, message, ...row }) => row);
+    const job = createGeocodeJob(rows, {
+      onProgress: (progress) => {
+        if (progress.status === "cancelled") {
+          setIsRetrying(false);
+          return;
+        }
+        if (progress.status !== "done") return;
+        setGeocodedData((previous) => [...previous, ...progress.items]);
+        setGeocodeProgress((previous) => {
+          const failed = [
+            ...previous.failed.filter((item) => !pincodes.includes(item.pincode)),
+            ...progress.failed
+          ];
+          return { ...previous, failed, failures: failed.length };
+        });
+        setIsRetrying(false);
+      }
+    });
+    retryJobRef.current = job;
+    setIsRetrying(true);
+    job.start();
+  };
+
+  const handleApplyCoordinates = (item, coordinates) => {
+    const { reason, message, ...row } = item;
+    saveManualCoordinates(item.pincode, coordinates);
+    setGeocodedData((previous) => [
+      ...previous,
+      {
+        ...row,
+        coordinates,
+        coordinateSource: "manual",
+        locality: getLocalityName(item.pincode)
+      }
+    ]);
+    removeUnresolved([item.pincode]);
+    setPickingPincode(null);
+    setSelectedPincode(item.pincode);
+  };
+
+  const handleMapPick = (coordinates) => {
+    const item = geocodeProgress.failed.find((entry) => entry.pincode === pickingPincode);
+    if (item) handleApplyCoordinates(item, coordinates);
+  };
+
+  // A new scheme, metric or kind of value gives the legend different classes,
+  // so anything hidden comes back
+  const showAllClasses = () => {
+    setHiddenRanges([]);
+    setHiddenCellRanges([]);
   };
 
   const handleClearFilters = () => {
     setSearchTerm("");
-    setMinSalesFilter("");
-    setMaxSalesFilter("");
+    showAllClasses();
     setLimit("all");
+    setDrillPrefix("");
     setSelectedPincode(null);
+    setSearchedLocation(null);
+  };
+
+  // A picked suggestion replaces the typed filter with a jump to that pincode
+  const handleSearchPick = (result) => {
+    const item = metricData.find((entry) => String(entry.pincode) === result.pincode);
+    const coordinates = item ? item.coordinates : result.coordinates;
+    setSearchTerm("");
+    setSelectedPincode(item ? item.pincode : null);
+    setSearchedLocation(item ? null : { ...result, coordinates });
+    if (coordinates) {
+      setFlyTarget({ pincode: result.pincode, coordinates });
+    }
+  };
+
+  const handleAggregationChange = (event) => {
+    setAggregationLevel(event.target.value);
+    setDrillPrefix("");
+    // Legend classes are drawn from pincode or group values
+    showAllClasses();
+  };
+
+  const handleDrillTo = (prefix) => {
+    setDrillPrefix(prefix);
+    showAllClasses();
+  };
+
+  // Groups drill down on click; pincodes are selected
+  const handleSelect = (item) => {
+    if (!item.level) {
+      setSelectedPincode(item.pincode);
+      return;
+    }
+    handleDrillTo(item.pincode);
+    if (!autoFit && mapInstance && item.memberCoordinates.length > 0) {
+      mapInstance.fitBounds(L.latLngBounds(item.memberCoordinates).pad(0.1));
+    }
+  };
+
+  const handleTogglePlay = () => {
+    if (!isPlaying && currentPeriodIndex >= timeline.length - 1) {
+      setPeriodIndex(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleGranularityChange = (granularity) => {
+    setIsPlaying(false);
+    setPeriodIndex(0);
+    setTimeGranularity(granularity);
+  };
+
+  const handleCompareModeChange = (event) => {
+    setCompareMode(event.target.value);
+    setBaselineError("");
+    // Legend classes switch between absolute values and changes
+    showAllClasses();
+  };
+
+  // Reclassifying renumbers the classes, so any hidden in the legend come back
+  const handleSchemeChange = (event) => {
+    setClassScheme(event.target.value);
+    showAllClasses();
+  };
+
+  const handleClassCountChange = (event) => {
+    setClassCount(Number(event.target.value));
+    showAllClasses();
+  };
+
+  const handleManualBreaksChange = (event) => {
+    setManualBreaksText(event.target.value);
+    showAllClasses();
+  };
+
+  const handleNumberFormatChange = (field, value) => {
+    const next = { ...numberFormat, [field]: value };
+    setNumberFormat(next);
+    storeNumberFormat(next);
+  };
+
+  // Showing a class again drops every hidden range that reaches into it
+  const handleToggleClass = (index) => {
+    const span = getClassSpan(scale.classes, index);
+    setHiddenRanges((current) => (
+      hiddenClasses.includes(index)
+        ? current.filter((range) => !spansOverlap(range, span))
+        : [...current, span]
+    ));
+  };
+
+  const handleToggleCellClass = (index) => {
+    const span = getClassSpan(binScale.classes, index);
+    setHiddenCellRanges((current) => (
+      hiddenCellClasses.includes(index)
+        ? current.filter((range) => !spansOverlap(range, span))
+        : [...current, span]
+    ));
+  };
+
+  const handleVisualizationChange = (event) => {
+    setVisualization(event.target.value);
+    setRenderStats(null);
+    showAllClasses();
+  };
+
+  const handleBinSettingChange = (setter) => (event) => {
+    setter(event.target.value);
+    setHiddenCellRanges([]);
+  };
+
+  const handleMetricChange = (event) => {
+    setMetricKey(event.target.value);
+    // Legend classes were drawn from the previous metric's values
+    showAllClasses();
   };
 
   const handleResetUpload = () => {
@@ -341,16 +1000,105 @@ const PincodeMap = ({ data }) => {
       fileName: "",
       validRows: 0,
       invalidRows: 0,
-      usedLatLng: 0
+      rowErrors: [],
+      usedLatLng: 0,
+      invalidLatLng: 0,
+      autoFixed: [],
+      pincodeIssues: []
     });
     setUploadError("");
+    setCsvSource(null);
+    setIsPlaying(false);
+    setPeriodIndex(0);
     handleClearFilters();
   };
 
-  const parseCsvFile = (text, fileName) => {
-    const rows = parseCsvText(text);
+  const handleUploadFailure = ({ fileName, target }, error) => {
+    console.error("[CSV Upload] Parse failed", {
+      fileName,
+      target,
+      error
+    });
+    if (target === "baseline") {
+      setBaselineError(error.message || "Unable to parse CSV file.");
+      setBaselineUpload(null);
+      return;
+    }
+    setUploadError(error.message || "Unable to parse CSV file.");
+    setUploadedData([]);
+    setUploadMeta({
+      hasFile: true,
+      fileName,
+      validRows: 0,
+      invalidRows: 0,
+      rowErrors: [],
+      usedLatLng: 0,
+      invalidLatLng: 0,
+      autoFixed: [],
+      pincodeIssues: []
+    });
+  };
+
+  const applyColumnMapping = (source, mapping) => {
+    const {
+      items,
+      rowErrors: datasetErrors,
+      usedLatLng,
+      invalidLatLng,
+      autoFixed,
+      pincodeIssues
+    } = buildUploadDataset(source.rows, source.lineNumbers, mapping, source.review);
+    const rowErrors = [...source.parseErrors, ...datasetErrors];
+
+    if (items.length === 0) {
+      console.debug("[CSV Upload] No valid rows after parsing", {
+        rowErrors,
+        totalRows: source.rows.length
+      });
+      const firstReasons = rowErrors
+        .slice(0, 3)
+        .map((error) => `Line ${error.line}: ${error.reason}`)
+        .join("; ");
+      throw new Error(
+        "No valid rows found. Check pincode and metric values." +
+          (firstReasons ? ` ${firstReasons}` : "")
+      );
+    }
+
+    if (source.target === "baseline") {
+      setBaselineUpload({
+        fileName: source.fileName,
+        items,
+        validRows: items.length,
+        invalidRows: rowErrors.length
+      });
+      setBaselineError("");
+      return;
+    }
+
+    setUploadedData(items);
+    setUploadMeta({
+      hasFile: true,
+      fileName: source.fileName,
+      validRows: items.length,
+      invalidRows: rowErrors.length,
+      rowErrors,
+      usedLatLng,
+      invalidLatLng,
+      autoFixed,
+      pincodeIssues
+    });
+    setUploadError("");
+    setIsPlaying(false);
+    setPeriodIndex(0);
+    handleClearFilters();
+  };
+
+  const parseCsvFile = (text, fileName, target) => {
+    const { rows, lineNumbers, delimiter, errors: parseErrors } = parseCsv(text);
     console.debug("[CSV Upload] Parsed rows", {
       fileName,
+      delimiter,
       totalRows: rows.length,
       sample: rows.slice(0, 3)
     });
@@ -363,74 +1111,86 @@ const PincodeMap = ({ data }) => {
       throw new Error("Invalid CSV header row.");
     }
 
-    const headerRow = rows[0].map((cell, index) => {
-      const trimmed = typeof cell === "string" ? cell.trim() : String(cell ?? "").trim();
-      const cleaned = index === 0 ? trimmed.replace(/^\uFEFF/, "") : trimmed;
-      return cleaned.toLowerCase();
-    });
-    const indexOf = (aliases) =>
-      aliases.map((name) => headerRow.indexOf(name)).find((idx) => idx >= 0);
-    const pincodeIndex = indexOf(["pincode", "pin", "postalcode", "postal_code"]);
-    const salesIndex = indexOf(["sales", "sale", "amount", "value"]);
-
-    if (pincodeIndex === undefined || salesIndex === undefined) {
-      console.debug("[CSV Upload] Missing required columns", {
-        headerRow,
-        pincodeIndex,
-        salesIndex
-      });
-      throw new Error("Missing required columns. CSV must include pincode and sales.");
-    }
-
-    const aggregated = new Map();
-    let invalidRows = 0;
+    const signature = getHeaderSignature(rows[0]);
+    const source = {
+      target,
+      fileName,
+      headers: rows[0],
+      rows,
+      lineNumbers,
+      parseErrors,
+      signature
+    };
+    const mapping =
+      loadSavedMapping(signature, rows[0].length) || detectColumnMapping(rows);
+    const setSource = target === "baseline" ? setBaselineSource : setCsvSource;
+    setSource({ ...source, mapping });
 
-    for (let i = 1; i < rows.length; i += 1) {
-      const row = rows[i];
-      if (!Array.isArray(row)) {
-        invalidRows += 1;
-        continue;
-      }
-      const rawPincode = row[pincodeIndex] ? row[pincodeIndex].trim() : "";
-      const rawSales = row[salesIndex] ? row[salesIndex].trim() : "";
-      const sales = Number(rawSales);
-      if (!rawPincode || Number.isNaN(sales)) {
-        invalidRows += 1;
-        continue;
-      }
+    if (!isMappingComplete(mapping) || !mapping.confirmed) {
+      // Headers don't match the aliases, or other numeric columns might be
+      // metrics: ask for a mapping instead of guessing
+      console.debug("[CSV Upload] Requesting column mapping", { signature, mapping });
+      setMappingTarget(target);
+      return;
+    }
 
-      const existing = aggregated.get(rawPincode) || {
-        pincode: rawPincode,
-        sales: 0,
-      };
-      existing.sales += sales;
+    applyColumnMapping(source, mapping);
+  };
 
-      aggregated.set(rawPincode, existing);
+  const handleConfirmMapping = (mapping) => {
+    const source = mappingTarget === "baseline" ? baselineSource : csvSource;
+    const setSource = mappingTarget === "baseline" ? setBaselineSource : setCsvSource;
+    setMappingTarget(null);
+    const { confirmed, ...mappingToSave } = mapping;
+    saveMapping(source.signature, mappingToSave);
+    setSource({ ...source, mapping });
+    try {
+      applyColumnMapping(source, mapping);
+    } catch (error) {
+      handleUploadFailure(source, error);
     }
+  };
 
-    const parsedRows = Array.from(aggregated.values());
+  const handleCancelMapping = () => {
+    if (mappingTarget === "baseline") {
+      if (!baselineUpload || baselineUpload.fileName !== baselineSource.fileName) {
+        setBaselineSource(null);
+      }
+    } else if (!uploadMeta.hasFile || uploadMeta.fileName !== csvSource.fileName) {
+      setCsvSource(null);
+    }
+    setMappingTarget(null);
+  };
 
-    if (parsedRows.length === 0) {
-      console.debug("[CSV Upload] No valid rows after parsing", {
-        invalidRows,
-        totalRows: rows.length
-      });
-      throw new Error("No valid rows found. Check pincode and sales values.");
+  // Accepted and rejected pincode suggestions are kept with the source so
+  // they survive a later column-mapping edit
+  const handlePincodeReview = (review) => {
+    const source = { ...csvSource, review };
+    setCsvSource(source);
+    try {
+      applyColumnMapping(source, source.mapping);
+    } catch (error) {
+      handleUploadFailure(source, error);
     }
+  };
 
-    setUploadedData(parsedRows);
-    setUploadMeta({
-      hasFile: true,
-      fileName,
-      validRows: parsedRows.length,
-      invalidRows,
-      usedLatLng: 0
+  const handleAcceptSuggestion = (raw, pincode) => {
+    const review = csvSource.review || {};
+    handlePincodeReview({
+      ...review,
+      corrections: { ...review.corrections, [raw]: pincode }
+    });
+  };
+
+  const handleRejectSuggestion = (raw) => {
+    const review = csvSource.review || {};
+    handlePincodeReview({
+      ...review,
+      dismissed: [...(review.dismissed || []), raw]
     });
-    setUploadError("");
-    handleClearFilters();
   };
 
-  const handleUpload = (event) => {
+  const handleUpload = (event, target = "primary") => {
     const inputEl = event.target;
     const file = inputEl && inputEl.files && inputEl.files[0];
     if (!file) return;
@@ -445,21 +1205,9 @@ const PincodeMap = ({ data }) => {
           size: file.size,
           type: file.type
         });
-        parseCsvFile(reader.result || "", file.name);
+        parseCsvFile(reader.result || "", file.name, target);
       } catch (error) {
-        console.error("[CSV Upload] Parse failed", {
-          fileName: file.name,
-          error
-        });
-        setUploadError(error.message || "Unable to parse CSV file.");
-        setUploadedData([]);
-        setUploadMeta({
-          hasFile: true,
-          fileName: file.name,
-          validRows: 0,
-          invalidRows: 0,
-          usedLatLng: 0
-        });
+        handleUploadFailure({ fileName: file.name, target }, error);
       } finally {
         setIsParsing(false);
         if (inputEl && typeof inputEl.value !== "undefined") {
@@ -469,7 +1217,11 @@ const PincodeMap = ({ data }) => {
     };
 
     reader.onerror = () => {
-      setUploadError("Failed to read the file. Please try again.");
+      if (target === "baseline") {
+        setBaselineError("Failed to read the file. Please try again.");
+      } else {
+        setUploadError("Failed to read the file. Please try again.");
+      }
       setIsParsing(false);
       if (inputEl && typeof inputEl.value !== "undefined") {
         inputEl.value = "";
@@ -479,6 +1231,18 @@ const PincodeMap = ({ data }) => {
     reader.readAsText(file);
   };
 
+  const mappingSource = mappingTarget === "baseline" ? baselineSource : csvSource;
+  const mappingDialog = mappingTarget && mappingSource ? (
+    <ColumnMappingDialog
+      fileName={mappingSource.fileName}
+      headers={mappingSource.headers}
+      rows={mappingSource.rows}
+      initialMapping={mappingSource.mapping}
+      onConfirm={handleConfirmMapping}
+      onCancel={handleCancelMapping}
+    />
+  ) : null;
+
   if (loading && geocodedData.length === 0) {
     return (
       <div className="loading-panel">
@@ -491,6 +1255,13 @@ const PincodeMap = ({ data }) => {
             ? ` • ${geocodeProgress.failures} failed`
             : ""}
         </div>
+        <button
+          className="button ghost"
+          type="button"
+          onClick={() => geocodeJobRef.current.cancel()}
+        >
+          Cancel geocoding
+        </button>
       </div>
     );
   }
@@ -498,6 +1269,7 @@ const PincodeMap = ({ data }) => {
   if (geocodedData.length === 0 && !loading) {
     return (
       <div className="empty-state">
+        {mappingDialog}
         <LeafletMap
           center={[20.5937, 78.9629]}
           zoom={5}
@@ -536,12 +1308,15 @@ const PincodeMap = ({ data }) => {
               id="csv-upload-empty"
               className="file-input"
               type="file"
-              accept=".csv"
+              accept=".csv,.tsv,.txt"
               onChange={handleUpload}
             />
           </div>
           <div className="empty-footnote">
-            Required columns: <strong>pincode</strong>, <strong>sales</strong>.
+            Required columns: <strong>pincode</strong> and at least one metric such as{" "}
+            <strong>sales</strong>.
+            Optional: <strong>lat</strong>, <strong>lng</strong>. Other headers can be
+            mapped after upload.
           </div>
         </div>
       </div>
@@ -550,12 +1325,21 @@ const PincodeMap = ({ data }) => {
 
   const tileLayer = TILE_LAYERS[tileStyle];
   const topPincodes = displayData.slice(0, 5);
+  const gainers = displayData.filter((item) => item.value > 0).slice(0, 5);
+  const losers = displayData
+    .filter((item) => item.value < 0)
+    .slice(-5)
+    .reverse();
 
   // Default center (India)
   const defaultCenter = [20.5937, 78.9629];
 
   return (
     <div className="dashboard">
+      {mappingDialog}
+      {showCacheDialog ? (
+        <CoordinateCacheDialog onClose={() => setShowCacheDialog(false)} />
+      ) : null}
       <div className="dashboard-header">
         <div>
           <div className="dashboard-title">Pincode Sales Intelligence</div>
@@ -569,11 +1353,35 @@ const PincodeMap = ({ data }) => {
             {uploadMeta.hasFile ? `Uploaded: ${uploadMeta.fileName}` : "Bundled dataset"}
           </div>
           {loading ? (
+            <>
+              <div className="meta-chip">
+                {geocodeProgress.total > 0
+                  ? `${geocodeProgress.status === "paused" ? "Paused" : "Geocoding"} ${geocodeProgress.current}/${geocodeProgress.total}`
+                  : "Preparing geocoding"}
+                {geocodeProgress.failures > 0 ? ` • ${geocodeProgress.failures} failed` : ""}
+              </div>
+              <button
+                className="button ghost chip-button"
+                type="button"
+                onClick={() => (
+                  geocodeProgress.status === "paused"
+                    ? geocodeJobRef.current.resume()
+                    : geocodeJobRef.current.pause()
+                )}
+              >
+                {geocodeProgress.status === "paused" ? "Resume" : "Pause"}
+              </button>
+              <button
+                className="button ghost chip-button"
+                type="button"
+                onClick={() => geocodeJobRef.current.cancel()}
+              >
+                Cancel
+              </button>
+            </>
+          ) : geocodeProgress.status === "cancelled" ? (
             <div className="meta-chip">
-              {geocodeProgress.total > 0
-                ? `Geocoding ${geocodeProgress.current}/${geocodeProgress.total}`
-                : "Preparing geocoding"}
-              {geocodeProgress.failures > 0 ? ` • ${geocodeProgress.failures} failed` : ""}
+              Geocoding cancelled at {geocodeProgress.current}/{geocodeProgress.total}
             </div>
           ) : null}
         </div>
@@ -583,7 +1391,8 @@ const PincodeMap = ({ data }) => {
         <div>
           <div className="upload-title">Data source</div>
           <div className="upload-subtitle">
-            Upload a CSV with pincode and sales only. We handle geocoding.
+            Upload a CSV with pincode and one or more metric columns. Optional lat/lng
+            columns skip geocoding.
           </div>
         </div>
         <div className="upload-actions">
@@ -598,11 +1407,14 @@ const PincodeMap = ({ data }) => {
               Reset upload
             </button>
           ) : null}
+          <button className="button ghost" type="button" onClick={() => setShowCacheDialog(true)}>
+            Coordinate cache
+          </button>
           <input
             id="csv-upload-main"
             className="file-input"
             type="file"
-            accept=".csv"
+            accept=".csv,.tsv,.txt"
             onChange={handleUpload}
             disabled={isParsing}
           />
@@ -616,45 +1428,94 @@ const PincodeMap = ({ data }) => {
               {uploadError
                 ? uploadError
                 : `${uploadMeta.validRows} valid rows` +
-                  (uploadMeta.invalidRows ? ` • ${uploadMeta.invalidRows} invalid` : "")}
+                  (uploadMeta.invalidRows ? ` • ${uploadMeta.invalidRows} invalid` : "") +
+                  ` • ${uploadMeta.usedLatLng} with supplied coordinates` +
+                  ` • ${uploadMeta.validRows - uploadMeta.usedLatLng} geocoded` +
+                  (uploadMeta.invalidLatLng
+                    ? ` • ${uploadMeta.invalidLatLng} rows with invalid lat/lng`
+                    : "") +
+                  (uploadMeta.autoFixed.length
+                    ? ` • ${uploadMeta.autoFixed.length} pincodes repaired`
+                    : "")}
             </div>
+            {!uploadError ? (
+              <PincodeReview
+                issues={uploadMeta.pincodeIssues}
+                autoFixed={uploadMeta.autoFixed}
+                onAccept={handleAcceptSuggestion}
+                onReject={handleRejectSuggestion}
+              />
+            ) : null}
+            {!uploadError && uploadMeta.rowErrors.length > 0 ? (
+              <details className="upload-errors">
+                <summary>
+                  Show {uploadMeta.rowErrors.length} skipped{" "}
+                  {uploadMeta.rowErrors.length === 1 ? "row" : "rows"}
+                </summary>
+                <ul>
+                  {uploadMeta.rowErrors.slice(0, MAX_LISTED_ROW_ERRORS).map((error, index) => (
+                    <li key={`${error.line}-${index}`}>
+                      Line {error.line}: {error.reason}
+                    </li>
+                  ))}
+                </ul>
+                {uploadMeta.rowErrors.length > MAX_LISTED_ROW_ERRORS ? (
+                  <div className="upload-meta">
+                    …and {uploadMeta.rowErrors.length - MAX_LISTED_ROW_ERRORS} more
+                  </div>
+                ) : null}
+              </details>
+            ) : null}
+          </div>
+          <div className="upload-actions">
+            {csvSource ? (
+              <button
+                className="button ghost"
+                type="button"
+                onClick={() => setMappingTarget("primary")}
+              >
+                Edit column mapping
+              </button>
+            ) : null}
+            {uploadError ? (
+              <button className="button ghost" type="button" onClick={handleResetUpload}>
+                Clear
+              </button>
+            ) : null}
           </div>
-          {uploadError ? (
-            <button className="button ghost" type="button" onClick={handleResetUpload}>
-              Clear
-            </button>
-          ) : null}
         </div>
       ) : null}
 
       <div className="dashboard-toolbar">
         <div className="toolbar-group">
           <label className="field">
-            <span>Pincode search</span>
-            <input
-              type="search"
-              placeholder="e.g. 110001"
-              value={searchTerm}
-              onChange={(event) => setSearchTerm(event.target.value)}
-            />
+            <span>Metric</span>
+            <select value={activeMetric.key} onChange={handleMetricChange}>
+              {metricOptions.map((metric) => (
+                <option key={metric.key} value={metric.key}>
+                  {metric.type === "ratio"
+                    ? `${metric.label} (${metric.numerator} ÷ ${metric.denominator})`
+                    : metric.label}
+                </option>
+              ))}
+            </select>
           </label>
           <label className="field">
-            <span>Min sales</span>
-            <input
-              type="number"
-              min="0"
-              value={minSalesFilter}
-              onChange={(event) => setMinSalesFilter(event.target.value)}
+            <span>Pincode or locality</span>
+            <PincodeSearch
+              value={searchTerm}
+              dataPincodes={dataPincodes}
+              onChange={setSearchTerm}
+              onPick={handleSearchPick}
             />
           </label>
           <label className="field">
-            <span>Max sales</span>
-            <input
-              type="number"
-              min="0"
-              value={maxSalesFilter}
-              onChange={(event) => setMaxSalesFilter(event.target.value)}
-            />
+            <span>Aggregate by</span>
+            <select value={aggregationLevel} onChange={handleAggregationChange}>
+              {POSTAL_LEVELS.map((level) => (
+                <option key={level.key} value={level.key}>{level.label}</option>
+              ))}
+            </select>
           </label>
           <label className="field">
             <span>Limit</span>
@@ -678,10 +1539,214 @@ const PincodeMap = ({ data }) => {
           <label className="toggle">
             <input
               type="checkbox"
-              checked={showHeatmap}
-              onChange={(event) => setShowHeatmap(event.target.checked)}
+              checked={showPerformance}
+              onChange={(event) => {
+                setShowPerformance(event.target.checked);
+                setRenderStats(null);
+              }}
             />
-            Heatmap
+            Performance
+          </label>
+          <label className="field">
+            <span>Compare</span>
+            <select value={compareMode} onChange={handleCompareModeChange}>
+              <option value="off">Off</option>
+              <option value="period" disabled={timeline.length < 2}>Another period</option>
+              <option value="upload">Baseline upload</option>
+            </select>
+          </label>
+          <label className="field">
+            <span>Scale</span>
+            <select value={classScheme} onChange={handleSchemeChange}>
+              {CLASSIFICATION_SCHEMES.map((scheme) => (
+                <option key={scheme.key} value={scheme.key}>{scheme.label}</option>
+              ))}
+            </select>
+          </label>
+          {classScheme !== "manual" ? (
+            <label className="field">
+              <span>Classes</span>
+              <select value={classCount} onChange={handleClassCountChange}>
+                {[3, 4, 5, 6, 7].map((count) => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {classScheme === "manual" ? (
+            <label className="field">
+              <span>Breaks</span>
+              <input
+                type="text"
+                value={manualBreaksText}
+                onChange={handleManualBreaksChange}
+                placeholder="1000, 5000, 20000"
+              />
+            </label>
+          ) : null}
+          <label className="field">
+            <span>Palette</span>
+            <select
+              value={palette.key}
+              onChange={(event) => (isComparing
+                ? setDivergingPaletteKey(event.target.value)
+                : setSequentialPaletteKey(event.target.value))}
+            >
+              {PALETTES.filter((option) => option.type === palette.type).map((option) => (
+                <option key={option.key} value={option.key}>
+                  {option.label}{option.colorBlindSafe ? " (colour-blind safe)" : ""}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            <span>View</span>
+            <select value={visualization} onChange={handleVisualizationChange}>
+              <option value="points">Points</option>
+              <option value="heatmap">Heatmap</option>
+              <option value="hexbin">Hexagon bins</option>
+              <option value="grid">Square grid</option>
+            </select>
+          </label>
+          {showHeatmap ? (
+            <label className="field">
+              <span>Heat weight</span>
+              <select
+                value={heatNormalization}
+                onChange={(event) => setHeatNormalization(event.target.value)}
+              >
+                {HEAT_NORMALIZATIONS.map((option) => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {showHeatmap ? (
+            <label className="field">
+              <span>Radius ({heatRadius} px)</span>
+              <input
+                type="range"
+                min="5"
+                max="60"
+                step="1"
+                value={heatRadius}
+                onChange={(event) => setHeatRadius(Number(event.target.value))}
+              />
+            </label>
+          ) : null}
+          {showHeatmap ? (
+            <label className="field">
+              <span>Blur ({heatBlur} px)</span>
+              <input
+                type="range"
+                min="1"
+                max="40"
+                step="1"
+                value={heatBlur}
+                onChange={(event) => setHeatBlur(Number(event.target.value))}
+              />
+            </label>
+          ) : null}
+          {showHeatmap ? (
+            <label className="field">
+              <span>Max intensity</span>
+              <select value={heatMax} onChange={(event) => setHeatMax(Number(event.target.value))}>
+                {HEAT_MAX_INTENSITIES.map((value) => (
+                  <option key={value} value={value}>
+                    {value === 1 ? "1 (top pincode)" : value}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {showHeatmap ? (
+            <label className="field">
+              <span>Gradient</span>
+              <select value={heatGradient.key} onChange={(event) => setHeatGradientKey(event.target.value)}>
+                {HEAT_GRADIENTS.map((option) => (
+                  <option key={option.key} value={option.key}>
+                    {option.label}{option.colorBlindSafe ? " (colour-blind safe)" : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {showBins ? (
+            <label className="field">
+              <span>Cell size</span>
+              <select value={binSize} onChange={handleBinSettingChange(setBinSize)}>
+                <option value="auto">Auto ({cellKm} km)</option>
+                {BIN_SIZES_KM.map((size) => (
+                  <option key={size} value={size}>{size} km</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {showBins ? (
+            <label className="field">
+              <span>Colour by</span>
+              <select value={binValue} onChange={handleBinSettingChange(setBinValue)}>
+                <option value="total">Total</option>
+                <option value="average">Average</option>
+              </select>
+            </label>
+          ) : null}
+          <label className="field">
+            <span>Points</span>
+            <select
+              value={rendererMode}
+              onChange={(event) => setRendererMode(event.target.value)}
+              disabled={visualization !== "points"}
+            >
+              <option value="auto">Auto (canvas above {CANVAS_POINT_THRESHOLD.toLocaleString()})</option>
+              <option value="markers">Clustered markers</option>
+              <option value="canvas">Canvas</option>
+            </select>
+          </label>
+          <label className="field">
+            <span>Numbers</span>
+            <select
+              value={numberFormat.notation}
+              onChange={(event) => handleNumberFormatChange("notation", event.target.value)}
+            >
+              {NOTATIONS.map((notation) => (
+                <option key={notation.key} value={notation.key}>{notation.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            <span>Currency</span>
+            <select
+              value={numberFormat.currency}
+              onChange={(event) => handleNumberFormatChange("currency", event.target.value)}
+            >
+              {CURRENCIES.map((currency) => (
+                <option key={currency.key} value={currency.key}>{currency.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            <span>Grouping</span>
+            <select
+              value={numberFormat.locale}
+              onChange={(event) => handleNumberFormatChange("locale", event.target.value)}
+            >
+              {GROUPING_LOCALES.map((locale) => (
+                <option key={locale.key} value={locale.key}>{locale.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            <span>Shared locations</span>
+            <select
+              value={overlapMode}
+              onChange={(event) => setOverlapMode(event.target.value)}
+              disabled={currentLevel.key !== "pincode"}
+            >
+              {OVERLAP_MODES.map((mode) => (
+                <option key={mode.key} value={mode.key}>{mode.label}</option>
+              ))}
+            </select>
           </label>
           <label className="field">
             <span>Basemap</span>
@@ -703,6 +1768,79 @@ const PincodeMap = ({ data }) => {
         </div>
       </div>
 
+      {breadcrumbs.length > 0 ? (
+        <div className="hierarchy-bar">
+          <button className="button ghost" type="button" onClick={() => handleDrillTo("")}>
+            All India
+          </button>
+          {breadcrumbs.map((prefix) => (
+            <React.Fragment key={prefix}>
+              <span className="hierarchy-separator">›</span>
+              {prefix === drillPrefix ? (
+                <strong>{getGroupLabel(prefix)}</strong>
+              ) : (
+                <button className="button ghost" type="button" onClick={() => handleDrillTo(prefix)}>
+                  {getGroupLabel(prefix)}
+                </button>
+              )}
+            </React.Fragment>
+          ))}
+          <span className="upload-meta">Showing {currentLevel.plural}</span>
+        </div>
+      ) : null}
+
+      {compareMode !== "off" ? (
+        <div className={`comparison-bar ${baselineError ? "error" : ""}`}>
+          {compareMode === "period" ? (
+            <label className="field">
+              <span>Baseline period</span>
+              <select
+                value={baselinePeriod}
+                onChange={(event) => setBaselinePeriod(event.target.value)}
+              >
+                <option value="previous">Previous period (follows timeline)</option>
+                {timeline.map((periodKey, index) => (
+                  <option key={periodKey} value={index}>
+                    {timeWindow === "cumulative" ? "Up to " : ""}
+                    {formatPeriodLabel(periodKey, timeGranularity)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <div className="upload-actions">
+              <label className="button ghost" htmlFor="csv-upload-baseline">
+                {baselineUpload ? "Replace baseline" : "Upload baseline CSV"}
+              </label>
+              <input
+                id="csv-upload-baseline"
+                className="file-input"
+                type="file"
+                accept=".csv,.tsv,.txt"
+                onChange={(event) => handleUpload(event, "baseline")}
+                disabled={isParsing}
+              />
+            </div>
+          )}
+          <div className="upload-meta">
+            {baselineError ||
+              (isComparing
+                ? `Showing change from ${
+                  compareMode === "upload"
+                    ? baselineUpload.fileName
+                    : formatPeriodLabel(timeline[baselinePeriodIndex], timeGranularity)
+                } to ${
+                  compareMode === "upload"
+                    ? uploadMeta.hasFile ? uploadMeta.fileName : "the bundled dataset"
+                    : formatPeriodLabel(timeline[currentPeriodIndex], timeGranularity)
+                }`
+                : compareMode === "upload"
+                  ? "Upload a CSV with the same metrics to compare against."
+                  : "No earlier period to compare against. Move the timeline forward.")}
+          </div>
+        </div>
+      ) : null}
+
       <div className="dashboard-content">
         <div className="map-wrapper">
           <LeafletMap
@@ -710,8 +1848,27 @@ const PincodeMap = ({ data }) => {
             zoom={5}
             style={{ height: "100%", width: "100%" }}
             maxZoom={20}
-            whenCreated={setMapInstance}
           >
+            <MapInstance onReady={setMapInstance} />
+            <ViewportWatcher onChange={setViewport} />
+            {showPerformance && visualization === "points" ? (
+              <PerformanceOverlay
+                renderer={useCanvas ? "Canvas" : "Marker"}
+                visibleCount={visibleMarkers.items.length}
+                totalCount={markerData.length}
+                queryMs={visibleMarkers.queryMs}
+                renderStats={renderStats}
+                zoom={viewport ? viewport.zoom : undefined}
+              />
+            ) : null}
+            {pickingPincode ? <MapClickPicker onPick={handleMapPick} /> : null}
+            {isPlacingSite ? <MapClickPicker onPick={handlePlaceSite} /> : null}
+            <SelectionLayer
+              tool={selectionTool}
+              shape={selectionShape}
+              onShapeChange={setSelectionShape}
+              onDrawEnd={handleDrawEnd}
+            />
             <TileLayer
               url={tileLayer.url}
               attribution={tileLayer.attribution}
@@ -722,59 +1879,197 @@ const PincodeMap = ({ data }) => {
               <FitBounds bounds={displayBounds} />
             ) : null}
             {showHeatmap ? (
-              heatmapGroups.map((group) => (
-                <HeatmapLayer
-                  key={group.id}
-                  points={group.points}
-                  options={{
-                    radius: group.radius,
-                    blur: group.blur,
-                    maxZoom: 12,
-                    minOpacity: 0.25
-                  }}
-                />
-              ))
+              <HeatmapLayer points={heatmapPoints} options={heatmapOptions} />
+            ) : showBins ? (
+              <BinLayer
+                cells={visibleCells}
+                getColor={binScale.getColor}
+                cellValue={binValue}
+                metricLabel={activeMetric.label}
+                formatValue={legendFormat}
+                interactive={!pickingPincode && !isPlacingSite && !selectionTool}
+              />
+            ) : useCanvas ? (
+              <CanvasPointLayer
+                geocodedData={visibleMarkers.items}
+                getColor={getColor}
+                getRadius={getRadius}
+                formatValue={formatValue}
+                formatChangePct={formatChangePct}
+                metric={activeMetric}
+                isComparison={isComparing}
+                selectedPincode={selectedPincode}
+                interactive={!pickingPincode && !isPlacingSite && !selectionTool}
+                onSelect={handleSelect}
+                onRender={showPerformance ? setRenderStats : undefined}
+              />
             ) : (
               <PincodeCluster 
-                geocodedData={displayData}
+                geocodedData={visibleMarkers.items}
                 getColor={getColor}
                 getRadius={getRadius}
-                formatSales={formatSales}
+                formatValue={formatValue}
+                formatChangePct={formatChangePct}
+                metric={activeMetric}
+                isComparison={isComparing}
                 selectedPincode={selectedPincode}
-                onSelect={(item) => setSelectedPincode(item.pincode)}
+                onSelect={handleSelect}
+                onRender={showPerformance ? setRenderStats : undefined}
               />
             )}
+            {catchmentSite && catchment ? (
+              <CatchmentRings
+                site={catchmentSite}
+                rings={catchment.rings}
+                formatValue={formatValue}
+              />
+            ) : null}
+            {searchedLocation && searchedLocation.coordinates ? (
+              <CircleMarker
+                center={searchedLocation.coordinates}
+                radius={9}
+                color="#6b7280"
+                weight={2}
+                dashArray="4 3"
+                fillColor="#f9fafb"
+                fillOpacity={0.9}
+              >
+                <Tooltip permanent direction="top" offset={[0, -10]} className="custom-tooltip">
+                  <strong>{searchedLocation.pincode}</strong>
+                  {searchedLocation.name ? ` · ${searchedLocation.name}` : ""}
+                  <div>No sales recorded</div>
+                </Tooltip>
+              </CircleMarker>
+            ) : null}
           </LeafletMap>
-          <div className="map-legend">
-            <strong>Legend:</strong>{" "}
-            {showHeatmap
-              ? "Heat intensity represents relative sales (hotter = higher sales)."
-              : "Circle size and color represent sales value (larger/darker = higher sales)."}
-          </div>
+          <TimelineControls
+            periods={timeline}
+            periodIndex={currentPeriodIndex}
+            granularity={timeGranularity}
+            windowMode={timeWindow}
+            isPlaying={isPlaying}
+            onPeriodChange={(index) => {
+              setIsPlaying(false);
+              setPeriodIndex(index);
+            }}
+            onGranularityChange={handleGranularityChange}
+            onWindowModeChange={setTimeWindow}
+            onTogglePlay={handleTogglePlay}
+          />
+          {showBins ? (
+            <MapLegend
+              description={
+                `Each ${visualization === "grid" ? "square" : "hexagon"} is about ${cellKm} km across; ` +
+                `color shows the ${binValue} ${isComparing ? "change in " : ""}` +
+                `${activeMetric.label.toLowerCase()} of the ${currentLevel.plural} inside it.` +
+                (cells.length > 0 ? " Click a range to hide or show it." : "")
+              }
+              classes={cells.length > 0 ? cellLegendClasses : []}
+              counts={cellClassCounts}
+              hiddenClasses={hiddenCellClasses}
+              gradient={binScale.continuous ? palette.colors : null}
+              showSymbols
+              unitLabel="cells"
+              formatValue={legendFormat}
+              onToggleClass={handleToggleCellClass}
+              onShowAll={() => setHiddenCellRanges([])}
+            />
+          ) : (
+            <MapLegend
+              description={
+                (isComparing && !showHeatmap
+                  ? `Color shows change in ${activeMetric.label.toLowerCase()} (decline to growth); size shows its magnitude.`
+                  : showHeatmap
+                  ? `Heat adds up the ${heatNormalization} weight of ${activeMetric.label.toLowerCase()} across nearby ${currentLevel.plural}; the colour tops out at ${heatMaxLabel}.`
+                  : `Circle size and color represent ${activeMetric.label.toLowerCase()} (larger/darker = higher).`) +
+                (currentLevel.key !== "pincode" && !showHeatmap
+                  ? ` Each bubble is one ${currentLevel.label.toLowerCase()}; click it to drill down.`
+                  : "") +
+                (rankedData.length > 0 ? " Click a range to hide or show it." : "")
+              }
+              classes={rankedData.length > 0 ? scale.classes : []}
+              counts={classCounts}
+              hiddenClasses={hiddenClasses}
+              gradient={scale.continuous ? palette.colors : null}
+              showSymbols={!showHeatmap}
+              heatScale={showHeatmap && rankedData.length > 0 ? {
+                gradient: getHeatGradientCss(heatGradient),
+                low: legendFormat(heatNormalizer.valueAt(0)),
+                high: heatMaxLabel
+              } : null}
+              unitLabel={currentLevel.plural}
+              formatValue={legendFormat}
+              onToggleClass={handleToggleClass}
+              onShowAll={() => setHiddenRanges([])}
+            />
+          )}
         </div>
 
         <div className="side-panel">
           <div className="panel-section">
             <div className="panel-title">Overview</div>
-            <div className="stat-grid">
-              <div className="stat-card">
-                <div className="stat-label">Displayed pincodes</div>
-                <div className="stat-value">{displayData.length}</div>
-                <div className="stat-footnote">of {geocodedData.length} total</div>
-              </div>
-              <div className="stat-card">
-                <div className="stat-label">Displayed sales</div>
-                <div className="stat-value">{formatSales(totalSales)}</div>
+            {timeline.length > 0 ? (
+              <div className="panel-note panel-period">
+                {timeWindow === "cumulative" ? "Up to " : ""}
+                {formatPeriodLabel(timeline[currentPeriodIndex], timeGranularity)}
               </div>
-              <div className="stat-card">
-                <div className="stat-label">Average sales</div>
-                <div className="stat-value">{formatSales(Math.round(averageSales))}</div>
+            ) : null}
+            {comparisonSummary ? (
+              <div className="stat-grid">
+                <div className="stat-card">
+                  <div className="stat-label">Baseline</div>
+                  <div className="stat-value">{formatValue(comparisonSummary.baseline)}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Current</div>
+                  <div className="stat-value">{formatValue(comparisonSummary.current)}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Net change</div>
+                  <div className="stat-value">{formatChange(comparisonSummary.change)}</div>
+                  <div className="stat-footnote">
+                    {formatChangePct(comparisonSummary.changePct)}
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Growing / declining</div>
+                  <div className="stat-value">
+                    {displayData.filter((item) => item.value > 0).length} /{" "}
+                    {displayData.filter((item) => item.value < 0).length}
+                  </div>
+                  <div className="stat-footnote">of {displayData.length} {currentLevel.plural}</div>
+                </div>
               </div>
-              <div className="stat-card">
-                <div className="stat-label">Max sales</div>
-                <div className="stat-value">{formatSales(maxDisplaySales)}</div>
+            ) : (
+              <div className="stat-grid">
+                <div className="stat-card">
+                  <div className="stat-label">Displayed {currentLevel.plural}</div>
+                  <div className="stat-value">{displayData.length}</div>
+                  <div className="stat-footnote">
+                    {currentLevel.key === "pincode"
+                      ? `of ${geocodedData.length} total`
+                      : `covering ${displayData.reduce((sum, item) => sum + item.memberCount, 0)} pincodes`}
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">
+                    {activeMetric.type === "ratio" ? "Overall" : "Displayed"}{" "}
+                    {activeMetric.label.toLowerCase()}
+                  </div>
+                  <div className="stat-value">{formatValue(displayTotal)}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Average per {currentLevel.label.toLowerCase()}</div>
+                  <div className="stat-value">
+                    {formatValue(activeMetric.type === "ratio" ? averageValue : Math.round(averageValue))}
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Max {activeMetric.label.toLowerCase()}</div>
+                  <div className="stat-value">{formatValue(maxDisplayValue)}</div>
+                </div>
               </div>
-            </div>
+            )}
             {displayData.length === 0 ? (
               <div className="panel-note">
                 No results match the current filters.
@@ -782,6 +2077,38 @@ const PincodeMap = ({ data }) => {
             ) : null}
           </div>
 
+          <SelectionPanel
+            tool={selectionTool}
+            shape={selectionShape}
+            summary={selectionSummary}
+            metric={activeMetric}
+            levelLabel={currentLevel.plural}
+            formatValue={formatValue}
+            selectedPincode={selectedPincode}
+            savedShapes={savedShapes}
+            onToolChange={handleToolChange}
+            onClear={() => setSelectionShape(null)}
+            onExport={() => exportRows(selectedRows, "pincode_selection_export.csv")}
+            onSelectItem={handleSelect}
+            onSave={handleSaveShape}
+            onLoad={handleLoadShape}
+            onDelete={handleDeleteShape}
+          />
+
+          <CatchmentPanel
+            site={catchmentSite}
+            isPlacing={isPlacingSite}
+            radiiText={ringRadiiText}
+            analysis={catchment}
+            metric={activeMetric}
+            formatValue={formatValue}
+            selectedItem={selectedItem}
+            onRadiiChange={setRingRadiiText}
+            onStartPlacing={handleStartPlacingSite}
+            onUseSelected={handleUseSelectedSite}
+            onClear={() => setCatchmentSite(null)}
+          />
+
           <div className="panel-section">
             <div className="panel-title">Selected pincode</div>
             {selectedItem ? (
@@ -791,46 +2118,155 @@ const PincodeMap = ({ data }) => {
                   <strong>{selectedItem.pincode}</strong>
                 </div>
                 <div className="selection-row">
-                  <span>Sales</span>
-                  <strong>{formatSales(selectedItem.sales)}</strong>
+                  <span>Locality</span>
+                  <strong>{selectedItem.locality || "—"}</strong>
                 </div>
+                {isComparing ? (
+                  <>
+                    <div className="selection-row">
+                      <span>Baseline {activeMetric.label.toLowerCase()}</span>
+                      <strong>{formatValue(selectedItem.baselineValue)}</strong>
+                    </div>
+                    <div className="selection-row">
+                      <span>Current {activeMetric.label.toLowerCase()}</span>
+                      <strong>{formatValue(selectedItem.currentValue)}</strong>
+                    </div>
+                    <div className="selection-row">
+                      <span>Change</span>
+                      <strong>
+                        {formatChange(selectedItem.value)} ({formatChangePct(selectedItem.changePct)})
+                      </strong>
+                    </div>
+                  </>
+                ) : (
+                  <div className="selection-row">
+                    <span>{activeMetric.label}</span>
+                    <strong>{formatValue(selectedItem.value)}</strong>
+                  </div>
+                )}
+                {baseMetrics
+                  .filter((metric) => !isComparing && metric.key !== activeMetric.key)
+                  .map((metric) => (
+                    <div className="selection-row" key={metric.key}>
+                      <span>{metric.label}</span>
+                      <strong>
+                        {selectedItem.metrics[metric.key] === undefined
+                          ? "—"
+                          : formatMetricValue(selectedItem.metrics[metric.key], metric, numberFormat)}
+                      </strong>
+                    </div>
+                  ))}
                 <div className="selection-row">
                   <span>Coordinates</span>
                   <strong>
                     {selectedItem.coordinates[0].toFixed(4)}, {selectedItem.coordinates[1].toFixed(4)}
                   </strong>
                 </div>
+                {selectedItem.coordinateSource ? (
+                  <div className="selection-row">
+                    <span>Located by</span>
+                    <strong>
+                      {selectedItem.coordinateSource}
+                      {selectedItem.approximate ? " · approximate centroid" : ""}
+                    </strong>
+                  </div>
+                ) : null}
                 {!selectedIsVisible ? (
                   <div className="panel-note">
                     Selected pincode is hidden by current filters.
                   </div>
                 ) : null}
               </div>
+            ) : searchedLocation ? (
+              <div className="selection-card">
+                <div className="selection-row">
+                  <span>Pincode</span>
+                  <strong>{searchedLocation.pincode}</strong>
+                </div>
+                <div className="selection-row">
+                  <span>Locality</span>
+                  <strong>{searchedLocation.name || "—"}</strong>
+                </div>
+                <div className="panel-note">No sales recorded for this pincode.</div>
+              </div>
             ) : (
               <div className="panel-note">Click a marker or list item to inspect details.</div>
             )}
           </div>
 
-          <div className="panel-section">
-            <div className="panel-title">Top performing pincodes</div>
-            {topPincodes.length === 0 ? (
-              <div className="panel-note">No pincodes to display.</div>
-            ) : (
-              <div className="top-list">
-                {topPincodes.map((item) => (
-                  <button
-                    key={item.pincode}
-                    type="button"
-                    className={`top-item ${selectedPincode === item.pincode ? "active" : ""}`}
-                    onClick={() => setSelectedPincode(item.pincode)}
-                  >
-                    <span>{item.pincode}</span>
-                    <strong>{formatSales(item.sales)}</strong>
-                  </button>
-                ))}
+          {!loading ? (
+            <UnresolvedPincodes
+              items={geocodeProgress.failed}
+              metric={activeMetric}
+              formatValue={formatValue}
+              isBusy={isRetrying}
+              pickingPincode={pickingPincode}
+              onRetry={handleRetryUnresolved}
+              onStartPick={(pincode) => {
+                setIsPlacingSite(false);
+                setPickingPincode(pickingPincode === pincode ? null : pincode);
+              }}
+              onApplyCoordinates={handleApplyCoordinates}
+            />
+          ) : null}
+
+          {isComparing ? (
+            [
+              { id: "gainers", title: "Biggest gainers", items: gainers },
+              { id: "losers", title: "Biggest losers", items: losers }
+            ].map((list) => (
+              <div className="panel-section" key={list.id}>
+                <div className="panel-title">{list.title}</div>
+                {list.items.length === 0 ? (
+                  <div className="panel-note">No {currentLevel.plural} to display.</div>
+                ) : (
+                  <div className="top-list">
+                    {list.items.map((item) => (
+                      <button
+                        key={item.pincode}
+                        type="button"
+                        className={`top-item ${selectedPincode === item.pincode ? "active" : ""}`}
+                        onClick={() => handleSelect(item)}
+                      >
+                        <span className="top-item-name">
+                          {item.label || item.pincode}
+                          {item.locality ? <small>{item.locality}</small> : null}
+                        </span>
+                        <strong className={item.value < 0 ? "is-decline" : "is-growth"}>
+                          {formatChange(item.value)}{" "}
+                          <small>{formatChangePct(item.changePct)}</small>
+                        </strong>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
-            )}
-          </div>
+            ))
+          ) : (
+            <div className="panel-section">
+              <div className="panel-title">Top performing {currentLevel.plural}</div>
+              {topPincodes.length === 0 ? (
+                <div className="panel-note">No {currentLevel.plural} to display.</div>
+              ) : (
+                <div className="top-list">
+                  {topPincodes.map((item) => (
+                    <button
+                      key={item.pincode}
+                      type="button"
+                      className={`top-item ${selectedPincode === item.pincode ? "active" : ""}`}
+                      onClick={() => handleSelect(item)}
+                    >
+                      <span className="top-item-name">
+                        {item.label || item.pincode}
+                        {item.locality ? <small>{item.locality}</small> : null}
+                      </span>
+                      <strong>{formatValue(item.value)}</strong>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
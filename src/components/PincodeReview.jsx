@@ -0,0 +1,69 @@
+import React from "react";
+
+const MAX_LISTED_FIXES = 20;
+
+const PincodeReview = ({ issues, autoFixed, onAccept, onReject }) => {
+  if (issues.length === 0 && autoFixed.length === 0) return null;
+
+  return (
+    <div className="pincode-review">
+      {issues.length > 0 ? (
+        <details className="upload-errors" open>
+          <summary>
+            {issues.length} {issues.length === 1 ? "pincode needs" : "pincodes need"} review
+          </summary>
+          <ul>
+            {issues.map((issue) => (
+              <li key={issue.raw}>
+                <div>
+                  <strong>{issue.raw}</strong>{" "}
+                  {issue.status === "invalid"
+                    ? "is not a valid pincode"
+                    : "is not in the pincode index"}
+                  {" "}(line{issue.lines.length === 1 ? "" : "s"} {issue.lines.slice(0, 5).join(", ")}
+                  {issue.lines.length > 5 ? ", …" : ""})
+                  {issue.status === "invalid" ? " — rows skipped" : ""}
+                </div>
+                <div className="pincode-review-actions">
+                  {issue.suggestions.map((suggestion) => (
+                    <button
+                      key={suggestion.pincode}
+                      className="button ghost"
+                      type="button"
+                      onClick={() => onAccept(issue.raw, suggestion.pincode)}
+                    >
+                      Use {suggestion.pincode}
+                      {suggestion.name ? ` · ${suggestion.name}` : ""}
+                    </button>
+                  ))}
+                  <button className="button ghost" type="button" onClick={() => onReject(issue.raw)}>
+                    {issue.status === "invalid" ? "Skip rows" : "Keep as is"}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </details>
+      ) : null}
+      {autoFixed.length > 0 ? (
+        <details className="upload-errors">
+          <summary>
+            {autoFixed.length} {autoFixed.length === 1 ? "pincode was" : "pincodes were"} repaired automatically
+          </summary>
+          <ul>
+            {autoFixed.slice(0, MAX_LISTED_FIXES).map((fix) => (
+              <li key={fix.raw}>
+                "{fix.raw}" → {fix.pincode} ({fix.fixes.join(", ")})
+              </li>
+            ))}
+          </ul>
+          {autoFixed.length > MAX_LISTED_FIXES ? (
+            <div className="upload-meta">…and {autoFixed.length - MAX_LISTED_FIXES} more</div>
+          ) : null}
+        </details>
+      ) : null}
+    </div>
+  );
+};
+
+export default PincodeReview;
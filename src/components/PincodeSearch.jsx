@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from "react";
+import { searchPincodes } from "../utils/pincodeSearch";
+
+const PincodeSearch = ({ value, dataPincodes, onChange, onPick }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const results = useMemo(
+    () => searchPincodes(value, { dataPincodes }),
+    [value, dataPincodes]
+  );
+  const showResults = isOpen && results.length > 0;
+
+  const handlePick = (result) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    onPick(result);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown" && results.length > 0) {
+      event.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (event.key === "ArrowUp" && results.length > 0) {
+      event.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(activeIndex <= 0 ? results.length - 1 : activeIndex - 1);
+    } else if (event.key === "Enter" && showResults) {
+      // Enter takes the highlighted suggestion, or an exact pincode match
+      const result = activeIndex >= 0
+        ? results[activeIndex]
+        : results.find((item) => item.matchType === "exact");
+      if (result) {
+        event.preventDefault();
+        handlePick(result);
+      }
+    } else if (event.key === "Escape") {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="pincode-search">
+      <input
+        type="search"
+        placeholder="e.g. 110001 or Connaught Place"
+        value={value}
+        role="combobox"
+        aria-expanded={showResults}
+        aria-controls="pincode-search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={
+          showResults && activeIndex >= 0 ? `pincode-search-${results[activeIndex].pincode}` : undefined
+        }
+        onChange={(event) => {
+          onChange(event.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      {showResults ? (
+        <ul className="pincode-search-results" id="pincode-search-results" role="listbox">
+          {results.map((result, index) => (
+            <li
+              key={result.pincode}
+              id={`pincode-search-${result.pincode}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? "active" : ""}
+              // Pick on mousedown so the input's blur doesn't close the list first
+              onMouseDown={(event) => {
+                event.preventDefault();
+                handlePick(result);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <strong>{result.pincode}</strong>
+              <span>{result.name}</span>
+              {result.hasData ? null : <small>No data</small>}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
+export default PincodeSearch;
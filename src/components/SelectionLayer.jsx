@@ -0,0 +1,199 @@
+import { useEffect } from "react";
+import L from "leaflet";
+import { useLeaflet } from "react-leaflet";
+import { rectangleFromCorners } from "../utils/geometry";
+
+const SHAPE_STYLE = {
+  color: "#2563eb",
+  weight: 2,
+  fillColor: "#2563eb",
+  fillOpacity: 0.08
+};
+const PREVIEW_STYLE = { ...SHAPE_STYLE, dashArray: "6 4" };
+// Lasso points closer than this (in screen pixels) are dropped while drawing
+const LASSO_MIN_STEP_PX = 12;
+// A polygon click this close to the first vertex closes the shape
+const CLOSE_POLYGON_PX = 10;
+
+const toPoint = (latlng) => [latlng.lat, latlng.lng];
+
+const createShapeLayer = (shape, style) => {
+  if (shape.type === "circle") return L.circle(shape.center, { ...style, radius: shape.radius });
+  if (shape.type === "rectangle") return L.rectangle(shape.bounds, style);
+  return L.polygon(shape.points, style);
+};
+
+const createHandle = (latlng, onDrag, onDragEnd) => {
+  const handle = L.marker(latlng, {
+    draggable: true,
+    icon: L.divIcon({ className: "area-handle", iconSize: [12, 12] }),
+    zIndexOffset: 2000
+  });
+  handle.on("drag", (event) => onDrag(event.target.getLatLng()));
+  handle.on("dragend", (event) => onDragEnd(event.target.getLatLng()));
+  return handle;
+};
+
+// Drag handles for every vertex (polygon, lasso), corner (rectangle) or the
+// centre and rim (circle). Moving a handle reshapes the layer live and
+// reports the new shape when the drag ends.
+const addEditHandles = (group, layer, shape, onShapeChange) => {
+  if (shape.type === "circle") {
+    const rimPoint = (center, radius) => L.latLng(center).toBounds(radius * 2).getNorth();
+    const rim = createHandle(
+      [rimPoint(shape.center, shape.radius), shape.center[1]],
+      (latlng) => layer.setRadius(layer.getLatLng().distanceTo(latlng)),
+      () => onShapeChange({ ...shape, radius: layer.getRadius() })
+    );
+    const center = createHandle(
+      shape.center,
+      (latlng) => {
+        layer.setLatLng(latlng);
+        rim.setLatLng([rimPoint(toPoint(latlng), layer.getRadius()), latlng.lng]);
+      },
+      (latlng) => onShapeChange({ ...shape, center: toPoint(latlng) })
+    );
+    group.addLayer(center).addLayer(rim);
+    return;
+  }
+
+  if (shape.type === "rectangle") {
+    const [[south, west], [north, east]] = shape.bounds;
+    const corners = [[south, west], [north, west], [north, east], [south, east]];
+    corners.forEach((corner, index) => {
+      // The opposite corner stays put while this one moves
+      const opposite = corners[(index + 2) % 4];
+      group.addLayer(createHandle(
+        corner,
+        (latlng) => layer.setBounds(rectangleFromCorners(opposite, toPoint(latlng)).bounds),
+        (latlng) => onShapeChange(rectangleFromCorners(opposite, toPoint(latlng)))
+      ));
+    });
+    return;
+  }
+
+  shape.points.forEach((point, index) => {
+    const replaceVertex = (latlng) => shape.points.map((existing, i) => (
+      i === index ? toPoint(latlng) : existing
+    ));
+    group.addLayer(createHandle(
+      point,
+      (latlng) => layer.setLatLngs(replaceVertex(latlng)),
+      (latlng) => onShapeChange({ ...shape, points: replaceVertex(latlng) })
+    ));
+  });
+};
+
+// Draws the active selection shape and, while `tool` is set, captures a new
+// one: lasso, rectangle and radius are drawn by dragging; a polygon is built
+// click by click and finished with a double-click or a click on its first
+// vertex. Escape cancels drawing.
+const SelectionLayer = ({ tool, shape, onShapeChange, onDrawEnd }) => {
+  const { map } = useLeaflet();
+
+  useEffect(() => {
+    if (!map || !shape) return undefined;
+    const group = L.layerGroup().addTo(map);
+    const layer = createShapeLayer(shape, SHAPE_STYLE);
+    group.addLayer(layer);
+    if (!tool) addEditHandles(group, layer, shape, onShapeChange);
+    return () => {
+      group.remove();
+    };
+  }, [map, shape, tool, onShapeChange]);
+
+  useEffect(() => {
+    if (!map || !tool) return undefined;
+    const container = map.getContainer();
+    const preview = L.layerGroup().addTo(map);
+    let points = [];
+    let start = null;
+    let previewLayer = null;
+
+    const showPreview = (layer) => {
+      if (previewLayer) preview.removeLayer(previewLayer);
+      previewLayer = layer;
+      if (layer) preview.addLayer(layer);
+    };
+    const finish = (nextShape) => {
+      if (nextShape) onShapeChange(nextShape);
+      onDrawEnd();
+    };
+    const pixelDistance = (a, b) =>
+      map.latLngToContainerPoint(a).distanceTo(map.latLngToContainerPoint(b));
+
+    const handlers = {};
+    if (tool === "polygon") {
+      map.doubleClickZoom.disable();
+      handlers.click = (event) => {
+        const last = points[points.length - 1];
+        if (points.length >= 3 && pixelDistance(points[0], event.latlng) <= CLOSE_POLYGON_PX) {
+          finish({ type: "polygon", points: points.map(toPoint) });
+          return;
+        }
+        // The second click of a double-click lands on the same spot
+        if (last && pixelDistance(last, event.latlng) < 3) return;
+        points.push(event.latlng);
+        showPreview(L.polyline(points, PREVIEW_STYLE));
+      };
+      handlers.mousemove = (event) => {
+        if (points.length > 0) showPreview(L.polyline([...points, event.latlng], PREVIEW_STYLE));
+      };
+      handlers.dblclick = () => {
+        if (points.length >= 3) finish({ type: "polygon", points: points.map(toPoint) });
+      };
+    } else {
+      map.dragging.disable();
+      handlers.mousedown = (event) => {
+        start = event.latlng;
+        points = [event.latlng];
+      };
+      handlers.mousemove = (event) => {
+        if (!start) return;
+        if (tool === "lasso") {
+          if (pixelDistance(points[points.length - 1], event.latlng) < LASSO_MIN_STEP_PX) return;
+          points.push(event.latlng);
+          showPreview(L.polygon(points, PREVIEW_STYLE));
+        } else if (tool === "rectangle") {
+          showPreview(L.rectangle(L.latLngBounds(start, event.latlng), PREVIEW_STYLE));
+        } else {
+          showPreview(L.circle(start, { ...PREVIEW_STYLE, radius: start.distanceTo(event.latlng) }));
+        }
+      };
+      handlers.mouseup = (event) => {
+        if (!start) return;
+        if (tool === "lasso") {
+          finish(points.length >= 3 ? { type: "lasso", points: points.map(toPoint) } : null);
+        } else if (tool === "rectangle") {
+          finish(pixelDistance(start, event.latlng) > 3
+            ? rectangleFromCorners(toPoint(start), toPoint(event.latlng))
+            : null);
+        } else {
+          const radius = start.distanceTo(event.latlng);
+          finish(radius > 0 ? { type: "circle", center: toPoint(start), radius } : null);
+        }
+        start = null;
+      };
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onDrawEnd();
+    };
+
+    map.on(handlers);
+    document.addEventListener("keydown", handleKeyDown);
+    container.classList.add("is-drawing");
+    return () => {
+      map.off(handlers);
+      document.removeEventListener("keydown", handleKeyDown);
+      container.classList.remove("is-drawing");
+      preview.remove();
+      map.dragging.enable();
+      map.doubleClickZoom.enable();
+    };
+  }, [map, tool, onShapeChange, onDrawEnd]);
+
+  return null;
+};
+
+export default SelectionLayer;
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { describeShape } from "../utils/geometry";
+import { SELECTION_TOOLS } from "../utils/selection";
+
+const TOOL_HINTS = {
+  lasso: "Drag on the map to draw around the area.",
+  polygon: "Click to add corners; double-click or click the first corner to finish.",
+  rectangle: "Drag on the map to draw a rectangle.",
+  circle: "Drag from the centre outwards to set the radius."
+};
+
+const SelectionPanel = ({
+  tool,
+  shape,
+  summary,
+  metric,
+  levelLabel,
+  formatValue,
+  selectedPincode,
+  savedShapes,
+  onToolChange,
+  onClear,
+  onExport,
+  onSelectItem,
+  onSave,
+  onLoad,
+  onDelete
+}) => {
+  const [shapeName, setShapeName] = useState("");
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (!shapeName.trim()) return;
+    onSave(shapeName.trim());
+    setShapeName("");
+  };
+
+  return (
+    <div className="panel-section">
+      <div className="panel-title">Area selection</div>
+      <div className="area-tools">
+        {SELECTION_TOOLS.map((option) => (
+          <button
+            key={option.key}
+            type="button"
+            className={`button ghost chip-button ${tool === option.key ? "active" : ""}`}
+            onClick={() => onToolChange(tool === option.key ? null : option.key)}
+          >
+            {option.label}
+          </button>
+        ))}
+        {shape ? (
+          <button className="button ghost chip-button" type="button" onClick={onClear}>
+            Clear
+          </button>
+        ) : null}
+      </div>
+      {tool ? (
+        <div className="panel-note">{TOOL_HINTS[tool]} Press Esc to cancel.</div>
+      ) : shape ? (
+        <>
+          <div className="panel-note">
+            {describeShape(shape)} · drag the handles to adjust.
+          </div>
+          <div className="stat-grid">
+            <div className="stat-card">
+              <div className="stat-label">Selected {levelLabel}</div>
+              <div className="stat-value">{summary.count}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">
+                {metric.type === "ratio" ? "Overall" : "Total"} {metric.label.toLowerCase()}
+              </div>
+              <div className="stat-value">{formatValue(summary.total)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">Average</div>
+              <div className="stat-value">
+                {formatValue(metric.type === "ratio" ? summary.average : Math.round(summary.average))}
+              </div>
+            </div>
+          </div>
+          {summary.top.length > 0 ? (
+            <div className="top-list">
+              {summary.top.map((item) => (
+                <button
+                  key={item.pincode}
+                  type="button"
+                  className={`top-item ${selectedPincode === item.pincode ? "active" : ""}`}
+                  onClick={() => onSelectItem(item)}
+                >
+                  <span className="top-item-name">
+                    {item.label || item.pincode}
+                    {item.locality ? <small>{item.locality}</small> : null}
+                  </span>
+                  <strong>{formatValue(item.value)}</strong>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <div className="panel-note">Nothing shown on the map falls inside this area.</div>
+          )}
+          <div className="area-actions">
+            <button
+              className="button ghost"
+              type="button"
+              onClick={onExport}
+              disabled={summary.count === 0}
+            >
+              Export selection
+            </button>
+          </div>
+          <form className="area-save" onSubmit={handleSave}>
+            <input
+              type="text"
+              placeholder="Name this area"
+              value={shapeName}
+              onChange={(event) => setShapeName(event.target.value)}
+              aria-label="Area name"
+            />
+            <button className="button ghost" type="submit" disabled={!shapeName.trim()}>
+              Save
+            </button>
+          </form>
+        </>
+      ) : (
+        <div className="panel-note">
+          Pick a tool and draw on the map to total up an area, e.g. a distributor's territory.
+        </div>
+      )}
+      {savedShapes.length > 0 ? (
+        <ul className="saved-areas">
+          {savedShapes.map((saved) => (
+            <li key={saved.id}>
+              <button type="button" className="saved-area-name" onClick={() => onLoad(saved)}>
+                <strong>{saved.name}</strong>
+                <small>{describeShape(saved.shape)}</small>
+              </button>
+              <button
+                type="button"
+                className="saved-area-delete"
+                onClick={() => onDelete(saved.id)}
+                aria-label={`Delete ${saved.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
+export default SelectionPanel;
@@ -0,0 +1,70 @@
+import React from "react";
+import { GRANULARITIES, formatPeriodLabel } from "../utils/timeSeries";
+
+const TimelineControls = ({
+  periods,
+  periodIndex,
+  granularity,
+  windowMode,
+  isPlaying,
+  onPeriodChange,
+  onGranularityChange,
+  onWindowModeChange,
+  onTogglePlay
+}) => {
+  if (periods.length === 0) return null;
+
+  const currentLabel = formatPeriodLabel(periods[periodIndex], granularity);
+  const windowLabel = windowMode === "cumulative"
+    ? `${formatPeriodLabel(periods[0], granularity)} – ${currentLabel}`
+    : currentLabel;
+
+  return (
+    <div className="timeline-controls">
+      <button
+        className="button timeline-play"
+        type="button"
+        onClick={onTogglePlay}
+        disabled={periods.length < 2}
+        aria-label={isPlaying ? "Pause playback" : "Play timeline"}
+      >
+        {isPlaying ? "Pause" : "Play"}
+      </button>
+      <div className="timeline-track">
+        <input
+          type="range"
+          min="0"
+          max={periods.length - 1}
+          step="1"
+          value={periodIndex}
+          onChange={(event) => onPeriodChange(Number(event.target.value))}
+          aria-label="Timeline period"
+        />
+        <div className="timeline-labels">
+          <span>{formatPeriodLabel(periods[0], granularity)}</span>
+          <strong>{windowLabel}</strong>
+          <span>{formatPeriodLabel(periods[periods.length - 1], granularity)}</span>
+        </div>
+      </div>
+      <select
+        value={granularity}
+        onChange={(event) => onGranularityChange(event.target.value)}
+        aria-label="Period size"
+      >
+        {GRANULARITIES.map((option) => (
+          <option key={option.key} value={option.key}>{option.label}</option>
+        ))}
+      </select>
+      <select
+        value={windowMode}
+        onChange={(event) => onWindowModeChange(event.target.value)}
+        aria-label="Window"
+      >
+        <option value="period">Single period</option>
+        <option value="cumulative">Cumulative</option>
+      </select>
+    </div>
+  );
+};
+
+export default TimelineControls;
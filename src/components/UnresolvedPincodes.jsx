@@ -0,0 +1,133 @@
+import React, { useState } from "react";
+import { downloadCsv } from "../utils/csv";
+import { getMetricValue } from "../utils/metrics";
+import { parseCoordinates } from "../utils/upload";
+
+const REASON_LABELS = {
+  invalid: "Invalid format",
+  not_found: "Not in dataset",
+  api_error: "API error"
+};
+
+const UnresolvedPincodes = ({
+  items,
+  metric,
+  formatValue,
+  isBusy,
+  pickingPincode,
+  onRetry,
+  onStartPick,
+  onApplyCoordinates
+}) => {
+  const [editingPincode, setEditingPincode] = useState(null);
+  const [coordinateText, setCoordinateText] = useState("");
+  const [inputError, setInputError] = useState("");
+
+  if (items.length === 0) return null;
+
+  const getValue = (item) => getMetricValue(item, metric).value;
+  const retryable = items.filter((item) => item.reason !== "invalid");
+
+  const handleDownload = () => {
+    downloadCsv("unresolved_pincodes.csv", [
+      ["pincode", metric.key, "reason", "details"],
+      ...items.map((item) => [
+        item.pincode,
+        getValue(item) === null ? "" : getValue(item),
+        REASON_LABELS[item.reason] || item.reason,
+        item.message
+      ])
+    ]);
+  };
+
+  const handleStartEdit = (pincode) => {
+    setEditingPincode(pincode);
+    setCoordinateText("");
+    setInputError("");
+  };
+
+  const handleSave = (item) => {
+    const [rawLat, rawLng] = coordinateText.split(/[\s,]+/).filter(Boolean);
+    const coordinates = parseCoordinates(rawLat, rawLng);
+    if (!coordinates) {
+      setInputError("Enter latitude and longitude, e.g. 12.9716, 77.5946");
+      return;
+    }
+    setEditingPincode(null);
+    onApplyCoordinates(item, coordinates);
+  };
+
+  return (
+    <div className="panel-section">
+      <div className="panel-title">Unresolved pincodes ({items.length})</div>
+      <div className="panel-note">
+        These rows are left off the map and out of totals until they are located.
+      </div>
+      <div className="unresolved-actions">
+        <button
+          className="button ghost"
+          type="button"
+          onClick={() => onRetry(retryable)}
+          disabled={isBusy || retryable.length === 0}
+        >
+          Retry all
+        </button>
+        <button className="button ghost" type="button" onClick={handleDownload}>
+          Download CSV
+        </button>
+      </div>
+      <ul className="unresolved-list">
+        {items.map((item) => (
+          <li key={item.pincode} className={pickingPincode === item.pincode ? "active" : ""}>
+            <div className="unresolved-row">
+              <strong>{item.pincode}</strong>
+              <span>{getValue(item) === null ? "—" : formatValue(getValue(item))}</span>
+            </div>
+            <div className={`unresolved-reason is-${item.reason}`} title={item.message}>
+              {REASON_LABELS[item.reason] || item.message}
+            </div>
+            {editingPincode === item.pincode ? (
+              <form
+                className="unresolved-editor"
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  handleSave(item);
+                }}
+              >
+                <input
+                  type="text"
+                  placeholder="lat, lng"
+                  value={coordinateText}
+                  onChange={(event) => setCoordinateText(event.target.value)}
+                  aria-label={`Coordinates for ${item.pincode}`}
+                  autoFocus
+                />
+                <button className="button" type="submit">Save</button>
+                <button className="button ghost" type="button" onClick={() => setEditingPincode(null)}>
+                  Cancel
+                </button>
+                {inputError ? <div className="unresolved-error">{inputError}</div> : null}
+              </form>
+            ) : (
+              <div className="unresolved-row-actions">
+                {item.reason !== "invalid" ? (
+                  <button type="button" onClick={() => onRetry([item])} disabled={isBusy}>
+                    Retry
+                  </button>
+                ) : null}
+                <button type="button" onClick={() => onStartPick(item.pincode)} disabled={isBusy}>
+                  {pickingPincode === item.pincode ? "Click the map…" : "Pick on map"}
+                </button>
+                <button type="button" onClick={() => handleStartEdit(item.pincode)} disabled={isBusy}>
+                  Enter coordinates
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UnresolvedPincodes;
@@ -0,0 +1,117 @@
+// Hexagon and square binning of map points into equal-area cells
+// Points are projected onto a flat km grid around a fixed reference latitude,
+// binned, and each cell's outline is projected back to lat/lng for drawing.
+// Within India's latitudes cell areas stay within about 15% of each other.
+
+const KM_PER_DEGREE = 111.32;
+// Roughly the middle of India; fixed so cells don't shift when filters change
+const REFERENCE_LATITUDE = 22;
+const KM_PER_DEGREE_LONGITUDE = KM_PER_DEGREE * Math.cos((REFERENCE_LATITUDE * Math.PI) / 180);
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Cell sizes offered in the toolbar, in km across
+ */
+export const BIN_SIZES_KM = [1, 2, 5, 10, 25, 50, 100, 200];
+
+// Auto cells aim for about this many pixels across on screen
+const AUTO_CELL_PIXELS = 40;
+
+/**
+ * Cell size that looks about the same on screen at any zoom
+ * @param {number} zoom - Map zoom level
+ * @returns {number} - One of BIN_SIZES_KM
+ */
+export const getAutoBinSize = (zoom) => {
+  // Web Mercator ground resolution at the reference latitude
+  const metersPerPixel = (156543.03 * Math.cos((REFERENCE_LATITUDE * Math.PI) / 180)) / 2 ** zoom;
+  const wantedKm = (AUTO_CELL_PIXELS * metersPerPixel) / 1000;
+  return BIN_SIZES_KM.find((size) => size >= wantedKm) || BIN_SIZES_KM[BIN_SIZES_KM.length - 1];
+};
+
+const project = ([lat, lng]) => [lng * KM_PER_DEGREE_LONGITUDE, lat * KM_PER_DEGREE];
+const unproject = ([x, y]) => [y / KM_PER_DEGREE, x / KM_PER_DEGREE_LONGITUDE];
+
+// Pointy-top hexagons whose centres sit `cellKm` apart, in axial coordinates
+const HEXAGON = {
+  locate: ([x, y], cellKm) => {
+    const size = cellKm / SQRT3;
+    const q = ((SQRT3 / 3) * x - y / 3) / size;
+    const r = ((2 / 3) * y) / size;
+    // Round in cube coordinates so points land in the nearest hexagon
+    const s = -q - r;
+    let roundQ = Math.round(q);
+    let roundR = Math.round(r);
+    const roundS = Math.round(s);
+    const diffQ = Math.abs(roundQ - q);
+    const diffR = Math.abs(roundR - r);
+    const diffS = Math.abs(roundS - s);
+    if (diffQ > diffR && diffQ > diffS) {
+      roundQ = -roundR - roundS;
+    } else if (diffR > diffS) {
+      roundR = -roundQ - roundS;
+    }
+    return [roundQ, roundR];
+  },
+  outline: ([q, r], cellKm) => {
+    const size = cellKm / SQRT3;
+    const centerX = size * SQRT3 * (q + r / 2);
+    const centerY = size * 1.5 * r;
+    return {
+      center: unproject([centerX, centerY]),
+      polygon: Array.from({ length: 6 }, (value, i) => {
+        const angle = (Math.PI / 180) * (60 * i - 30);
+        return unproject([centerX + size * Math.cos(angle), centerY + size * Math.sin(angle)]);
+      }),
+      areaKm2: ((3 * SQRT3) / 2) * size * size
+    };
+  }
+};
+
+const SQUARE = {
+  locate: ([x, y], cellKm) => [Math.floor(x / cellKm), Math.floor(y / cellKm)],
+  outline: ([column, row], cellKm) => {
+    const left = column * cellKm;
+    const bottom = row * cellKm;
+    return {
+      center: unproject([left + cellKm / 2, bottom + cellKm / 2]),
+      polygon: [
+        unproject([left, bottom]),
+        unproject([left + cellKm, bottom]),
+        unproject([left + cellKm, bottom + cellKm]),
+        unproject([left, bottom + cellKm])
+      ],
+      areaKm2: cellKm * cellKm
+    };
+  }
+};
+
+/**
+ * Bin rows into hexagons or squares
+ * @param {Array<Object>} items - Rows with `coordinates` and a resolved `value`
+ * @param {Object} options - Binning settings
+ * @param {"hexbin" | "grid"} options.shape - Hexagons or squares
+ * @param {number} options.cellKm - Distance between hexagon centres, or square side
+ * @param {function(Array<Object>): {value: number}} options.resolveValue - Combined value of a cell's rows
+ * @returns {Array<{id: string, center: [number, number], polygon: Array<[number, number]>, areaKm2: number, count: number, pincodes: number, total: number, average: number}>}
+ */
+export const binPoints = (items, { shape, cellKm, resolveValue }) => {
+  const grid = shape === "grid" ? SQUARE : HEXAGON;
+  const cells = new Map();
+  items.forEach((item) => {
+    const position = grid.locate(project(item.coordinates), cellKm);
+    const id = position.join(",");
+    if (!cells.has(id)) cells.set(id, { position, members: [] });
+    cells.get(id).members.push(item);
+  });
+
+  return Array.from(cells.entries()).map(([id, { position, members }]) => ({
+    id,
+    ...grid.outline(position, cellKm),
+    count: members.length,
+    // Rolled-up groups stand for several pincodes each
+    pincodes: members.reduce((sum, item) => sum + (item.memberCount || 1), 0),
+    total: resolveValue(members).value,
+    average: members.reduce((sum, item) => sum + item.value, 0) / members.length
+  }));
+};
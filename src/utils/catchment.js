@@ -0,0 +1,76 @@
+// Catchment analysis: how much of a metric lies within given distances of a
+// site, e.g. a proposed warehouse or store
+
+import { distanceMeters } from "./geometry";
+import { combineMetricValues } from "./metrics";
+
+/**
+ * Ring radii used until the user picks their own, in kilometres
+ */
+export const DEFAULT_RING_RADII_KM = [5, 10, 25];
+
+const MAX_RINGS = 6;
+
+/**
+ * Read a list of ring radii such as "5, 10, 25"
+ * @param {string} text - Comma or space separated kilometres
+ * @returns {Array<number> | null} - Sorted distinct radii, or null when nothing valid was given
+ */
+export const parseRingRadii = (text) => {
+  const radii = String(text || "")
+    .split(/[\s,;]+/)
+    .map(Number)
+    .filter((radius) => Number.isFinite(radius) && radius > 0);
+  if (radii.length === 0) return null;
+  return Array.from(new Set(radii)).sort((a, b) => a - b).slice(0, MAX_RINGS);
+};
+
+/**
+ * Totals within each ring around a site. Ring totals are cumulative (everything
+ * within the radius); band totals cover only the distance since the previous
+ * ring. The curve has one point per row inside the outermost ring, nearest
+ * first, for a cumulative metric-versus-distance chart.
+ * @param {Array<Object>} items - Rows with `coordinates` and a resolved `value`
+ * @param {[number, number]} center - Site as [latitude, longitude]
+ * @param {Object} metric - Active metric option
+ * @param {Array<number>} [radiiKm] - Ring radii in kilometres, ascending
+ * @returns {{rings: Array<{radiusKm: number, count: number, total: number, bandCount: number, bandTotal: number}>, curve: Array<{distanceKm: number, total: number}>}}
+ */
+export const analyzeCatchment = (items, center, metric, radiiKm = DEFAULT_RING_RADII_KM) => {
+  const maxRadiusKm = radiiKm[radiiKm.length - 1];
+  const nearby = items
+    .map((item) => ({ item, distanceKm: distanceMeters(center, item.coordinates) / 1000 }))
+    .filter((entry) => entry.distanceKm <= maxRadiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+  let previousRadius = -Infinity;
+  const rings = radiiKm.map((radiusKm) => {
+    const inside = nearby.filter((entry) => entry.distanceKm <= radiusKm).map((entry) => entry.item);
+    const band = nearby
+      .filter((entry) => entry.distanceKm > previousRadius && entry.distanceKm <= radiusKm)
+      .map((entry) => entry.item);
+    previousRadius = radiusKm;
+    return {
+      radiusKm,
+      count: inside.length,
+      total: combineMetricValues(inside, metric).total,
+      bandCount: band.length,
+      bandTotal: combineMetricValues(band, metric).total
+    };
+  });
+
+  // Running totals for the chart; ratio metrics accumulate their numerator and
+  // denominator and divide at each step
+  let sum = 0;
+  let numerator = 0;
+  let denominator = 0;
+  const curve = nearby.map((entry) => {
+    sum += entry.item.value || 0;
+    numerator += entry.item.numerator || 0;
+    denominator += entry.item.denominator || 0;
+    const total = metric.type === "ratio" ? (denominator ? numerator / denominator : 0) : sum;
+    return { distanceKm: entry.distanceKm, total };
+  });
+
+  return { rings, curve };
+};
@@ -0,0 +1,399 @@
+// Classification schemes and colour palettes for markers, clusters and the legend
+// A scale turns a metric value into a colour and a marker radius. Continuous
+// schemes (linear, log) interpolate along the palette; class schemes
+// (quantile, equal interval, Jenks, manual) put each value into one of a few
+// classes so a single outlier can't wash every other pincode out.
+
+const MIN_RADIUS = 5;
+const MAX_RADIUS = 25;
+// Jenks is quadratic in the number of values, so large datasets are sampled
+const JENKS_SAMPLE_SIZE = 1000;
+
+/**
+ * Ways of mapping values to colours, in the order shown in the toolbar
+ */
+export const CLASSIFICATION_SCHEMES = [
+  { key: "linear", label: "Linear", continuous: true },
+  { key: "log", label: "Logarithmic", continuous: true },
+  { key: "quantile", label: "Quantile" },
+  { key: "equal", label: "Equal interval" },
+  { key: "jenks", label: "Natural breaks (Jenks)" },
+  { key: "manual", label: "Manual breaks" }
+];
+
+/**
+ * Colour ramps, low to high. Diverging palettes are used when comparing, with
+ * the middle colour at no change. `colorBlindSafe` marks ColorBrewer and
+ * viridis-family ramps that stay distinguishable with common colour-vision
+ * deficiencies.
+ */
+export const PALETTES = [
+  { key: "classic", label: "Blue to magenta", type: "sequential", colors: ["#3264ff", "#ff00c8"] },
+  {
+    key: "viridis",
+    label: "Viridis",
+    type: "sequential",
+    colorBlindSafe: true,
+    colors: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"]
+  },
+  {
+    key: "cividis",
+    label: "Cividis",
+    type: "sequential",
+    colorBlindSafe: true,
+    colors: ["#00204d", "#414d6b", "#7c7b78", "#bcaf6f", "#ffea46"]
+  },
+  {
+    key: "ylorrd",
+    label: "Yellow-orange-red",
+    type: "sequential",
+    colorBlindSafe: true,
+    colors: ["#ffffb2", "#fecc5c", "#fd8d3c", "#f03b20", "#bd0026"]
+  },
+  {
+    key: "blues",
+    label: "Blues",
+    type: "sequential",
+    colorBlindSafe: true,
+    colors: ["#c6dbef", "#9ecae1", "#6baed6", "#3182bd", "#08519c"]
+  },
+  { key: "change", label: "Red to blue", type: "diverging", colors: ["#d73027", "#9ca3af", "#2166ac"] },
+  {
+    key: "rdbu",
+    label: "Red-blue (ColorBrewer)",
+    type: "diverging",
+    colorBlindSafe: true,
+    colors: ["#b2182b", "#ef8a62", "#f7f7f7", "#67a9cf", "#2166ac"]
+  },
+  {
+    key: "puor",
+    label: "Orange-purple",
+    type: "diverging",
+    colorBlindSafe: true,
+    colors: ["#b35806", "#f1a340", "#f7f7f7", "#998ec3", "#542788"]
+  },
+  {
+    key: "brbg",
+    label: "Brown-teal",
+    type: "diverging",
+    colorBlindSafe: true,
+    colors: ["#a6611a", "#dfc27d", "#f5f5f5", "#80cdc1", "#018571"]
+  }
+];
+
+/**
+ * Find a palette by key, falling back to the first palette of the given type
+ * @param {string} key - Palette key
+ * @param {"sequential" | "diverging"} type - Palette type wanted
+ * @returns {Object}
+ */
+export const getPalette = (key, type) =>
+  PALETTES.find((palette) => palette.key === key && palette.type === type) ||
+  PALETTES.find((palette) => palette.type === type);
+
+const hexToRgb = (hex) => {
+  const num = parseInt(hex.slice(1), 16);
+  return [num >> 16, (num >> 8) & 0xff, num & 0xff];
+};
+
+/**
+ * Colour at a position along a palette
+ * @param {Object} palette - Palette from PALETTES
+ * @param {number} t - Position from 0 (low) to 1 (high)
+ * @returns {string} - CSS rgb() colour
+ */
+export const samplePalette = (palette, t) => {
+  const stops = palette.colors.map(hexToRgb);
+  const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const weight = position - index;
+  const [r, g, b] = stops[index].map((channel, i) => (
+    Math.round(channel + (stops[index + 1][i] - channel) * weight)
+  ));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+/**
+ * Readable text colour on top of a fill
+ * @param {string} color - CSS rgb() or hex colour
+ * @returns {string} - Dark text for light fills, white otherwise
+ */
+export const getContrastText = (color) => {
+  const [r, g, b] = color.startsWith("#") ? hexToRgb(color) : (color.match(/\d+/g) || []).map(Number);
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.65 ? "#1f2933" : "#ffffff";
+};
+
+/**
+ * Read manual class breaks such as "1000, 5000, 20000"
+ * @param {string} text - Comma or space separated values
+ * @returns {Array<number>} - Sorted distinct breaks
+ */
+export const parseBreaks = (text) =>
+  Array.from(new Set(
+    String(text || "")
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .map(Number)
+      .filter((value) => Number.isFinite(value))
+  )).sort((a, b) => a - b);
+
+const quantileBreaks = (sorted, classCount) => {
+  const breaks = [];
+  for (let i = 1; i < classCount; i += 1) {
+    breaks.push(sorted[Math.min(sorted.length - 1, Math.floor((i * sorted.length) / classCount))]);
+  }
+  return breaks;
+};
+
+const equalIntervalBreaks = (sorted, classCount) => {
+  const low = sorted[0];
+  const step = (sorted[sorted.length - 1] - low) / classCount;
+  return Array.from({ length: classCount - 1 }, (value, i) => low + step * (i + 1));
+};
+
+// Fisher-Jenks: choose breaks that minimise the variance within classes
+const jenksBreaks = (sorted, classCount) => {
+  const values = sorted.length > JENKS_SAMPLE_SIZE
+    ? Array.from({ length: JENKS_SAMPLE_SIZE }, (value, i) => (
+      sorted[Math.floor((i * (sorted.length - 1)) / (JENKS_SAMPLE_SIZE - 1))]
+    ))
+    : sorted;
+  const n = values.length;
+  const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(0));
+  const varianceCombinations = Array.from({ length: n + 1 }, () => (
+    new Array(classCount + 1).fill(Infinity)
+  ));
+  for (let j = 1; j <= classCount; j += 1) {
+    lowerClassLimits[1][j] = 1;
+    varianceCombinations[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l += 1) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m += 1) {
+      const lowerIndex = l - m + 1;
+      const value = values[lowerIndex - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (lowerIndex > 1) {
+        for (let j = 2; j <= classCount; j += 1) {
+          const candidate = variance + varianceCombinations[lowerIndex - 1][j - 1];
+          if (varianceCombinations[l][j] >= candidate) {
+            lowerClassLimits[l][j] = lowerIndex;
+            varianceCombinations[l][j] = candidate;
+          }
+        }
+      }
+    }
+    lowerClassLimits[l][1] = 1;
+    varianceCombinations[l][1] = variance;
+  }
+
+  const breaks = [];
+  let k = n;
+  for (let j = classCount; j >= 2; j -= 1) {
+    const lowerIndex = lowerClassLimits[k][j];
+    breaks.unshift(values[lowerIndex - 1]);
+    k = lowerIndex - 1;
+  }
+  return breaks;
+};
+
+/**
+ * Class breaks for a scheme. A value belongs to the first class whose upper
+ * break is greater than it; the last class is open-ended.
+ * @param {Array<number>} values - Values being classified
+ * @param {string} scheme - Class scheme key
+ * @param {number} classCount - Number of classes wanted
+ * @param {Array<number>} [manualBreaks] - Breaks for the manual scheme
+ * @returns {Array<number>} - Ascending inner breaks (one fewer than the classes)
+ */
+export const computeBreaks = (values, scheme, classCount, manualBreaks = []) => {
+  if (scheme === "manual") return manualBreaks;
+  const sorted = values.filter((value) => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0 || classCount < 2) return [];
+  const breaks = scheme === "jenks"
+    ? jenksBreaks(sorted, Math.min(classCount, sorted.length))
+    : scheme === "equal"
+      ? equalIntervalBreaks(sorted, classCount)
+      : quantileBreaks(sorted, classCount);
+  // Ties (e.g. many identical values) collapse into fewer classes
+  return Array.from(new Set(breaks)).filter((value) => value > sorted[0]);
+};
+
+/**
+ * Build the colour and size scale for a set of values
+ * @param {Array<number>} values - Values on display
+ * @param {Object} options - Scale settings
+ * @param {string} options.scheme - Key from CLASSIFICATION_SCHEMES
+ * @param {Object} options.palette - Palette from PALETTES
+ * @param {number} [options.classCount] - Classes for class schemes, legend steps for continuous ones
+ * @param {Array<number>} [options.manualBreaks] - Breaks for the manual scheme
+ * @returns {{getColor: function(number): string, getRadius: function(number): number, classOf: function(number): number, classes: Array<{index: number, from: number, to: number, color: string, radius: number}>, continuous: boolean, domain: [number, number], low: number, high: number}}
+ * Continuous schemes still get `classes`: equal steps along the palette that
+ * the legend shows and filters by. `from`/`to` are the lowest and highest
+ * values a class can hold (open-ended classes use the data range). `domain`
+ * is the span of values the palette covers, end to end.
+ */
+export const buildScale = (values, { scheme, palette, classCount = 5, manualBreaks = [] }) => {
+  const finite = values.filter((value) => Number.isFinite(value));
+  // A loop rather than Math.min(...finite): spreading tens of thousands of
+  // values as arguments can overflow the call stack
+  let low = finite.length > 0 ? Infinity : 0;
+  let high = finite.length > 0 ? -Infinity : 0;
+  finite.forEach((value) => {
+    if (value < low) low = value;
+    if (value > high) high = value;
+  });
+  const isDiverging = palette.type === "diverging";
+  const schemeInfo = CLASSIFICATION_SCHEMES.find((entry) => entry.key === scheme) ||
+    CLASSIFICATION_SCHEMES[0];
+
+  if (schemeInfo.continuous) {
+    // Diverging scales are symmetric around zero so no change sits mid-palette
+    const maxAbs = Math.max(Math.abs(low), Math.abs(high));
+    const isLog = scheme === "log";
+    const compress = (ratio, span) => (
+      isLog && span > 0 ? Math.log1p(ratio * span) / Math.log1p(span) : ratio
+    );
+    const expand = (ratio, span) => (
+      isLog && span > 0 ? Math.expm1(ratio * Math.log1p(span)) / span : ratio
+    );
+    const position = (value) => {
+      if (isDiverging) {
+        if (maxAbs === 0) return 0.5;
+        const magnitude = compress(Math.min(1, Math.abs(value) / maxAbs), maxAbs);
+        return 0.5 + (value < 0 ? -0.5 : 0.5) * magnitude;
+      }
+      if (high === low) return null;
+      return compress(Math.max(0, Math.min(1, (value - low) / (high - low))), high - low);
+    };
+    // Inverse of position, for the legend steps
+    const valueAt = (t) => {
+      if (isDiverging) {
+        const signed = (t - 0.5) * 2;
+        return Math.sign(signed) * expand(Math.abs(signed), maxAbs) * maxAbs;
+      }
+      return low + expand(t, high - low) * (high - low);
+    };
+    const getColor = (value) => {
+      const t = position(value);
+      return t === null ? "#3388ff" : samplePalette(palette, t);
+    };
+    const getRadius = (value) => {
+      if (isDiverging) {
+        return maxAbs === 0 ? 8 : MIN_RADIUS + Math.abs(position(value) - 0.5) * 2 * (MAX_RADIUS - MIN_RADIUS);
+      }
+      const t = position(value);
+      return t === null ? 8 : MIN_RADIUS + t * (MAX_RADIUS - MIN_RADIUS);
+    };
+    const stepCount = (!isDiverging && high === low) || (isDiverging && maxAbs === 0)
+      ? 1
+      : Math.max(1, classCount);
+    const classOf = (value) => {
+      const t = position(value);
+      return t === null ? 0 : Math.min(stepCount - 1, Math.floor(t * stepCount));
+    };
+    const domain = isDiverging ? [-maxAbs, maxAbs] : [low, high];
+    const classes = Array.from({ length: stepCount }, (value, index) => {
+      const middle = stepCount === 1 ? (domain[0] + domain[1]) / 2 : valueAt((index + 0.5) / stepCount);
+      return {
+        index,
+        from: stepCount === 1 ? domain[0] : valueAt(index / stepCount),
+        to: stepCount === 1 ? domain[1] : valueAt((index + 1) / stepCount),
+        color: getColor(middle),
+        radius: getRadius(middle)
+      };
+    });
+    return { getColor, getRadius, classOf, classes, continuous: true, domain, low, high };
+  }
+
+  const schemeBreaks = computeBreaks(finite, scheme, classCount, manualBreaks);
+  // Declines and growth never share a class: split at no change whenever the
+  // values fall on both sides of it
+  const breaks = isDiverging && low < 0 && high >= 0 && !schemeBreaks.includes(0)
+    ? [...schemeBreaks, 0].sort((a, b) => a - b)
+    : schemeBreaks;
+  const count = breaks.length + 1;
+  const classOf = (value) => {
+    const index = breaks.findIndex((limit) => value < limit);
+    return index === -1 ? count - 1 : index;
+  };
+  const ranges = Array.from({ length: count }, (value, index) => ({
+    from: index === 0 ? Math.min(low, breaks[0] ?? low) : breaks[index - 1],
+    to: index === count - 1 ? Math.max(high, breaks[count - 2] ?? high) : breaks[index]
+  }));
+  // Diverging classes sit where their midpoint falls on a scale symmetric
+  // around zero, like the continuous scales, so no change stays mid-palette
+  // and size shows the size of the change
+  const maxAbs = Math.max(Math.abs(ranges[0].from), Math.abs(ranges[count - 1].to));
+  const divergingPosition = (index) => (
+    maxAbs === 0 ? 0.5 : 0.5 + (ranges[index].from + ranges[index].to) / (4 * maxAbs)
+  );
+  const classColor = (index) => {
+    if (isDiverging) return samplePalette(palette, divergingPosition(index));
+    return samplePalette(palette, count === 1 ? 0.5 : index / (count - 1));
+  };
+  const classRadius = (index) => {
+    if (isDiverging) {
+      return maxAbs === 0 ? 8 : MIN_RADIUS + Math.abs(divergingPosition(index) - 0.5) * 2 * (MAX_RADIUS - MIN_RADIUS);
+    }
+    return count === 1 ? 8 : MIN_RADIUS + (index / (count - 1)) * (MAX_RADIUS - MIN_RADIUS);
+  };
+  const classes = ranges.map((range, index) => ({
+    index,
+    ...range,
+    color: classColor(index),
+    radius: classRadius(index)
+  }));
+
+  return {
+    getColor: (value) => classColor(classOf(value)),
+    getRadius: (value) => classRadius(classOf(value)),
+    classOf,
+    classes,
+    continuous: false,
+    domain: [classes[0].from, classes[count - 1].to],
+    low,
+    high
+  };
+};
+
+/**
+ * The values a legend class stands for, with the first and last classes left
+ * open-ended so values beyond today's range still fall in them
+ * @param {Array<{from: number, to: number}>} classes - Classes from buildScale
+ * @param {number} index - Class index
+ * @returns {{from: number, to: number}} - Half-open range [from, to)
+ */
+export const getClassSpan = (classes, index) => ({
+  from: index === 0 ? -Infinity : classes[index].from,
+  to: index === classes.length - 1 ? Infinity : classes[index].to
+});
+
+/**
+ * Whether a value falls in any of a list of spans
+ * @param {number} value - Value to test
+ * @param {Array<{from: number, to: number}>} spans - Half-open ranges
+ * @returns {boolean}
+ */
+export const isInSpans = (value, spans) => (
+  spans.some((span) => value >= span.from && value < span.to)
+);
+
+/**
+ * Whether two spans share any values; an empty span counts when it sits
+ * inside the other
+ * @param {{from: number, to: number}} a - Half-open range
+ * @param {{from: number, to: number}} b - Half-open range
+ * @returns {boolean}
+ */
+export const spansOverlap = (a, b) => {
+  if (a.from === a.to) return a.from >= b.from && a.from < b.to;
+  if (b.from === b.to) return b.from >= a.from && b.from < a.to;
+  return a.from < b.to && b.from < a.to;
+};
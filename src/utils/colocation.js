@@ -0,0 +1,92 @@
+// Markers that share a coordinate
+// Many bundled pincodes carry the same low-precision centroid, so their
+// markers sit exactly on top of each other. They can be left as they are,
+// fanned out around the shared point, or merged into one stacked marker.
+
+import { sumMemberFields } from "./postalHierarchy";
+
+const METERS_PER_DEGREE = 111320;
+const SPREAD_SPACING_METERS = 400;
+// Successive points on a sunflower spiral never line up, so members stay apart
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * How co-located markers are drawn, in the order shown in the toolbar
+ */
+export const OVERLAP_MODES = [
+  { key: "overlap", label: "Overlap" },
+  { key: "spread", label: "Spread out" },
+  { key: "stack", label: "Stack" }
+];
+
+const coordinateKey = ([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+/**
+ * Group rows by identical coordinates, keeping first-seen order
+ * @param {Array<Object>} items - Rows with `coordinates`
+ * @returns {Array<{key: string, coordinates: [number, number], members: Array<Object>}>}
+ */
+export const groupByCoordinates = (items) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = coordinateKey(item.coordinates);
+    const group = groups.get(key) || { key, coordinates: item.coordinates, members: [] };
+    group.members.push(item);
+    groups.set(key, group);
+  });
+  return Array.from(groups.values());
+};
+
+/**
+ * Fan co-located rows out on a spiral around their shared point. Positions
+ * depend only on the pincodes at the point, so they are stable across renders
+ * and filters. The shared point is kept in `anchorCoordinates`.
+ * @param {Array<Object>} items - Rows with `pincode` and `coordinates`
+ * @param {number} [spacingMeters] - Distance between neighbouring markers
+ * @returns {Array<Object>}
+ */
+export const spreadColocated = (items, spacingMeters = SPREAD_SPACING_METERS) => {
+  const offsets = new Map();
+  groupByCoordinates(items).forEach(({ coordinates, members }) => {
+    if (members.length < 2) return;
+    const [lat, lng] = coordinates;
+    const metersPerLngDegree = METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+    [...members]
+      .sort((a, b) => String(a.pincode).localeCompare(String(b.pincode)))
+      .forEach((member, index) => {
+        const distance = spacingMeters * Math.sqrt(index + 0.5);
+        const angle = index * GOLDEN_ANGLE;
+        offsets.set(member, [
+          lat + (distance * Math.cos(angle)) / METERS_PER_DEGREE,
+          lng + (distance * Math.sin(angle)) / metersPerLngDegree
+        ]);
+      });
+  });
+  return items.map((item) => (
+    offsets.has(item)
+      ? { ...item, coordinates: offsets.get(item), anchorCoordinates: item.coordinates }
+      : item
+  ));
+};
+
+/**
+ * Merge co-located rows into one stacked row per point. Members are kept in
+ * `stack`, highest value first.
+ * @param {Array<Object>} items - Rows with `pincode`, `value` and `coordinates`
+ * @param {function(Array<Object>): Object} resolveValue - Computes the stack's `value` (and related fields) from its members
+ * @returns {Array<Object>}
+ */
+export const stackColocated = (items, resolveValue) =>
+  groupByCoordinates(items).map(({ key, coordinates, members }) => {
+    if (members.length < 2) return members[0];
+    return {
+      ...sumMemberFields(members),
+      ...resolveValue(members),
+      pincode: `stack:${key}`,
+      label: `${members.length} pincodes at one point`,
+      stack: [...members].sort((a, b) => b.value - a.value),
+      memberCount: members.length,
+      approximate: members.some((member) => member.approximate),
+      coordinates
+    };
+  });
@@ -0,0 +1,90 @@
+// Period-over-period comparison of two datasets joined on pincode
+
+import { getMetricValue } from "./metrics";
+
+/**
+ * Join a current and a baseline dataset on pincode and compute the change of
+ * a metric for each pincode. Pincodes present in only one dataset count as
+ * zero in the other (new or lost pincodes).
+ * @param {Array<Object>} currentItems - Current dataset rows with coordinates
+ * @param {Array<Object>} baselineItems - Baseline dataset rows
+ * @param {Object} metric - Metric option from buildMetricOptions
+ * @param {function(string): ([number, number] | null)} locate - Coordinates for baseline-only pincodes
+ * @returns {Array<Object>} - Rows with `value` set to the change
+ */
+export const joinForComparison = (currentItems, baselineItems, metric, locate) => {
+  const baselineByPincode = new Map();
+  (baselineItems || []).forEach((item) => {
+    baselineByPincode.set(String(item.pincode), item);
+  });
+
+  const toRow = (item, current, baseline) => {
+    const currentValue = current.value === null ? 0 : current.value;
+    const baselineValue = baseline.value === null ? 0 : baseline.value;
+    const change = currentValue - baselineValue;
+    return {
+      ...item,
+      value: change,
+      currentValue,
+      baselineValue,
+      changePct: baselineValue ? change / Math.abs(baselineValue) : null,
+      numerator: current.numerator,
+      denominator: current.denominator,
+      baselineNumerator: baseline.numerator,
+      baselineDenominator: baseline.denominator
+    };
+  };
+
+  const emptyValue = { value: null, numerator: 0, denominator: 0 };
+  const rows = [];
+  const seen = new Set();
+
+  (currentItems || []).forEach((item) => {
+    const pincode = String(item.pincode);
+    seen.add(pincode);
+    const baselineItem = baselineByPincode.get(pincode);
+    const current = getMetricValue(item, metric);
+    const baseline = baselineItem ? getMetricValue(baselineItem, metric) : emptyValue;
+    if (current.value === null && baseline.value === null) return;
+    rows.push(toRow(item, current, baseline));
+  });
+
+  baselineByPincode.forEach((baselineItem, pincode) => {
+    if (seen.has(pincode)) return;
+    const baseline = getMetricValue(baselineItem, metric);
+    const coordinates = baselineItem.coordinates || locate(pincode);
+    if (baseline.value === null || !coordinates) return;
+    rows.push(toRow({ ...baselineItem, pincode, coordinates, metrics: {} }, emptyValue, baseline));
+  });
+
+  return rows;
+};
+
+/**
+ * Summarize a joined comparison: totals of both sides and the net change.
+ * Ratio metrics are recombined from their summed numerators and denominators.
+ * @param {Array<Object>} rows - Rows from joinForComparison
+ * @param {Object} metric - Metric option from buildMetricOptions
+ * @returns {{current: number, baseline: number, change: number, changePct: number | null}}
+ */
+export const summarizeComparison = (rows, metric) => {
+  const sum = (field) => rows.reduce((acc, row) => acc + (row[field] || 0), 0);
+  let current;
+  let baseline;
+  if (metric.type === "ratio") {
+    const currentDenominator = sum("denominator");
+    const baselineDenominator = sum("baselineDenominator");
+    current = currentDenominator ? sum("numerator") / currentDenominator : 0;
+    baseline = baselineDenominator ? sum("baselineNumerator") / baselineDenominator : 0;
+  } else {
+    current = sum("currentValue");
+    baseline = sum("baselineValue");
+  }
+  const change = current - baseline;
+  return {
+    current,
+    baseline,
+    change,
+    changePct: baseline ? change / Math.abs(baseline) : null
+  };
+};
@@ -0,0 +1,261 @@
+// Persistent coordinate cache
+// Geocoded coordinates are kept in IndexedDB, one record per pincode:
+// `{pincode, coords, source, updatedAt}`. Records are mirrored in memory once
+// loaded so lookups never wait on a transaction. Answers from remote geocoders
+// expire after a TTL; coordinates entered or imported by hand are kept until
+// they are cleared. Without IndexedDB (private windows in some browsers) the
+// cache lives in memory for the session only.
+
+import { parseLookupFile } from "./geocodeProviders";
+import { parseCoordinates } from "./upload";
+
+const DB_NAME = "pincodeCoordinates";
+const DB_VERSION = 1;
+const STORE_NAME = "coordinates";
+const LEGACY_STORAGE_KEY = "pincodeCoordinateCache_v1";
+const EXPORT_FORMAT_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_DAYS = 90;
+const PERMANENT_SOURCES = ["manual", "import"];
+
+const configuredTtlDays = Number(process.env.REACT_APP_GEOCODE_CACHE_TTL_DAYS);
+
+/**
+ * How long coordinates from remote geocoders are trusted, in milliseconds
+ * (REACT_APP_GEOCODE_CACHE_TTL_DAYS, 90 days by default)
+ */
+export const COORDINATE_CACHE_TTL_MS =
+  (configuredTtlDays > 0 ? configuredTtlDays : DEFAULT_TTL_DAYS) * DAY_MS;
+
+const records = new Map();
+let database = null;
+let loadPromise = null;
+
+// One block per schema version; a fresh database runs all of them in order
+const upgradeSchema = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const store = db.createObjectStore(STORE_NAME, { keyPath: "pincode" });
+    store.createIndex("source", "source");
+    store.createIndex("updatedAt", "updatedAt");
+  }
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof window === "undefined" || !window.indexedDB) {
+    reject(new Error("IndexedDB is not available"));
+    return;
+  }
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => upgradeSchema(request.result, event.oldVersion);
+  request.onsuccess = () => {
+    const db = request.result;
+    // Let a newer version of the app in another tab upgrade the schema
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error("An older version of the app is still open in another tab"));
+});
+
+const runTransaction = (mode, work) => new Promise((resolve, reject) => {
+  const transaction = database.transaction(STORE_NAME, mode);
+  const request = work(transaction.objectStore(STORE_NAME));
+  transaction.oncomplete = () => resolve(request ? request.result : undefined);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+});
+
+// Writes are best effort: the in-memory copy is already up to date
+const persist = async (work) => {
+  if (!database) return;
+  try {
+    await runTransaction("readwrite", work);
+  } catch (error) {
+    console.warn("Unable to update the coordinate cache:", error);
+  }
+};
+
+const toRecord = (pincode, entry, updatedAt) => {
+  // Entries written before sources were tracked are bare coordinate pairs
+  const { coords, source } = Array.isArray(entry) ? { coords: entry, source: "cache" } : entry || {};
+  const parsed = Array.isArray(coords) ? parseCoordinates(coords[0], coords[1]) : null;
+  if (!pincode || !parsed) return null;
+  return {
+    pincode: String(pincode),
+    coords: parsed,
+    source: source || "cache",
+    updatedAt: Number(updatedAt) || Date.now()
+  };
+};
+
+const readLegacyRecords = () => {
+  if (typeof window === "undefined") return [];
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LEGACY_STORAGE_KEY) || "{}");
+    const migratedAt = Date.now();
+    return Object.keys(stored)
+      .map((pincode) => toRecord(pincode, stored[pincode], migratedAt))
+      .filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Open the store, move any localStorage cache into it and load every record
+ * into memory. Safe to call repeatedly; the work happens once.
+ * @returns {Promise<void>}
+ */
+export const loadCoordinateStore = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const legacy = readLegacyRecords();
+      try {
+        database = await openDatabase();
+        if (legacy.length > 0) {
+          await runTransaction("readwrite", (store) => {
+            legacy.forEach((record) => store.put(record));
+          });
+          window.localStorage.removeItem(LEGACY_STORAGE_KEY);
+        }
+        const stored = await runTransaction("readonly", (store) => store.getAll());
+        stored.forEach((record) => records.set(record.pincode, record));
+      } catch (error) {
+        console.warn("Coordinate cache unavailable, keeping coordinates for this session only:", error);
+        database = null;
+        legacy.forEach((record) => records.set(record.pincode, record));
+      }
+    })();
+  }
+  return loadPromise;
+};
+
+/**
+ * Where cached coordinates are kept
+ * @returns {"indexeddb" | "memory"}
+ */
+export const getCoordinateStoreBackend = () => (database ? "indexeddb" : "memory");
+
+/**
+ * Check whether a record is past its TTL. Manual and imported coordinates never expire.
+ * @param {{source: string, updatedAt: number}} record - Stored record
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isRecordExpired = (record, now = Date.now()) =>
+  !PERMANENT_SOURCES.includes(record.source) &&
+  now - record.updatedAt > COORDINATE_CACHE_TTL_MS;
+
+/**
+ * Cached coordinates for a pincode, ignoring expired records
+ * @param {string} pincode - Normalized pincode
+ * @returns {Promise<{coords: [number, number], source: string} | null>}
+ */
+export const getStoredCoordinates = async (pincode) => {
+  await loadCoordinateStore();
+  const record = records.get(pincode);
+  if (!record || isRecordExpired(record)) return null;
+  return { coords: record.coords, source: record.source };
+};
+
+/**
+ * Cache coordinates for a pincode, replacing any earlier record
+ * @param {string} pincode - Normalized pincode
+ * @param {{coords: [number, number], source: string}} entry - Coordinates and who supplied them
+ * @returns {Promise<void>}
+ */
+export const storeCoordinates = async (pincode, entry) => {
+  await loadCoordinateStore();
+  const record = toRecord(pincode, entry, Date.now());
+  if (!record) return;
+  records.set(record.pincode, record);
+  await persist((store) => {
+    store.put(record);
+  });
+};
+
+/**
+ * Every cached record, including expired ones, ordered by pincode
+ * @returns {Promise<Array<{pincode: string, coords: [number, number], source: string, updatedAt: number}>>}
+ */
+export const listStoredCoordinates = async () => {
+  await loadCoordinateStore();
+  return Array.from(records.values()).sort((a, b) => a.pincode.localeCompare(b.pincode));
+};
+
+/**
+ * Remove cached records
+ * @param {{expiredOnly?: boolean}} [options] - Only remove records past their TTL
+ * @returns {Promise<number>} - Number of records removed
+ */
+export const clearStoredCoordinates = async ({ expiredOnly = false } = {}) => {
+  await loadCoordinateStore();
+  const now = Date.now();
+  const removed = Array.from(records.values())
+    .filter((record) => !expiredOnly || isRecordExpired(record, now))
+    .map((record) => record.pincode);
+  removed.forEach((pincode) => records.delete(pincode));
+  await persist((store) => {
+    if (expiredOnly) {
+      removed.forEach((pincode) => store.delete(pincode));
+    } else {
+      store.clear();
+    }
+  });
+  return removed.length;
+};
+
+/**
+ * Serialize the cache for download
+ * @returns {Promise<string>} - JSON readable by importStoredCoordinates
+ */
+export const exportStoredCoordinates = async () => {
+  const entries = await listStoredCoordinates();
+  return JSON.stringify({
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+};
+
+/**
+ * Load coordinates from a cache export or from a pincode/lat/lng lookup file
+ * (JSON or CSV). Exports keep their sources and timestamps; lookup file rows
+ * are stored as "import" and never expire.
+ * @param {string} text - File contents
+ * @returns {Promise<number>} - Number of records stored
+ */
+export const importStoredCoordinates = async (text) => {
+  await loadCoordinateStore();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Not JSON: read it as a lookup CSV below
+  }
+
+  let imported = [];
+  if (data && Array.isArray(data.entries)) {
+    if (data.version > EXPORT_FORMAT_VERSION) {
+      throw new Error(`Cache export version ${data.version} is newer than this app supports`);
+    }
+    imported = data.entries
+      .map((entry) => toRecord(entry.pincode, entry, entry.updatedAt))
+      .filter(Boolean);
+  } else {
+    const now = Date.now();
+    parseLookupFile(text).forEach((entry, pincode) => {
+      const record = toRecord(pincode, { coords: entry.coords, source: "import" }, now);
+      if (record) imported.push(record);
+    });
+  }
+  if (imported.length === 0) {
+    throw new Error("No coordinates found in the file");
+  }
+
+  imported.forEach((record) => records.set(record.pincode, record));
+  await persist((store) => {
+    imported.forEach((record) => store.put(record));
+  });
+  return imported.length;
+};
@@ -0,0 +1,219 @@
+// CSV parsing helpers for sales uploads
+// Implements RFC 4180 quoting (quoted fields, escaped quotes, embedded
+// newlines) plus the quirks of spreadsheets exported in India: semicolon or
+// tab delimiters, currency symbols and lakh/crore digit grouping.
+
+const DELIMITER_CANDIDATES = [",", ";", "\t", "|"];
+const DELIMITER_SAMPLE_LINES = 10;
+
+const CURRENCY_PATTERN = /^(₹|rs\.?|inr|\$)|(₹|rs\.?|inr|\$)$/i;
+const INTERNATIONAL_GROUPING = /^\d{1,3}(,\d{3})+(\.\d+)?$/;
+// Indian grouping: last three digits, then pairs (e.g. 1,25,000 or 1,00,00,000)
+const INDIAN_GROUPING = /^\d{1,2}(,\d{2})*,\d{3}(\.\d+)?$/;
+const PLAIN_NUMBER = /^\d+(\.\d+)?$|^\.\d+$/;
+
+const countDelimiters = (line, delimiter) => {
+  let count = 0;
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === delimiter) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
+/**
+ * Guess the delimiter of a CSV file from its first lines
+ * @param {string} text - Raw file contents
+ * @returns {string} - One of ",", ";", "\t" or "|" (defaults to ",")
+ */
+export const detectDelimiter = (text) => {
+  const lines = String(text || "")
+    .split(/\r\n|\r|\n/)
+    .filter((line) => line.trim() !== "")
+    .slice(0, DELIMITER_SAMPLE_LINES);
+  if (lines.length === 0) return ",";
+
+  let best = { delimiter: ",", score: 0, headerCount: 0 };
+  DELIMITER_CANDIDATES.forEach((delimiter) => {
+    const headerCount = countDelimiters(lines[0], delimiter);
+    if (headerCount === 0) return;
+    // Prefer the delimiter that splits most lines into the same number of
+    // columns as the header row.
+    const score = lines.filter(
+      (line) => countDelimiters(line, delimiter) === headerCount
+    ).length;
+    if (
+      score > best.score ||
+      (score === best.score && headerCount > best.headerCount)
+    ) {
+      best = { delimiter, score, headerCount };
+    }
+  });
+  return best.delimiter;
+};
+
+/**
+ * Parse CSV text into rows of trimmed cells
+ * @param {string} text - Raw file contents
+ * @param {{delimiter?: string}} [options] - Force a delimiter instead of detecting one
+ * @returns {{rows: Array<Array<string>>, lineNumbers: Array<number>, delimiter: string, errors: Array<{line: number, reason: string}>}}
+ */
+export const parseCsv = (text, options = {}) => {
+  const source = (typeof text === "string" ? text : "").replace(/^\uFEFF/, "");
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = [];
+  const lineNumbers = [];
+  const errors = [];
+
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  const pushField = () => {
+    row.push(field.trim());
+    field = "";
+  };
+
+  const pushRow = () => {
+    pushField();
+    // Blank lines (or lines of bare delimiters) carry no data
+    if (row.some((cell) => cell !== "")) {
+      rows.push(row);
+      lineNumbers.push(rowStartLine);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === "\r" && source[i + 1] === "\n") {
+        // Normalize embedded CRLF to LF; the LF is handled next iteration
+      } else {
+        if (char === "\n" || char === "\r") line += 1;
+        field += char === "\r" ? "\n" : char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.trim() === "") {
+      inQuotes = true;
+      field = "";
+    } else if (char === delimiter) {
+      pushField();
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      pushRow();
+      line += 1;
+      rowStartLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: rowStartLine, reason: "Unterminated quoted field" });
+  }
+  pushRow();
+
+  return { rows, lineNumbers, delimiter, errors };
+};
+
+/**
+ * Parse a numeric cell, accepting currency symbols and Indian or
+ * international digit grouping (e.g. "₹1,25,000", "Rs. 98,000.50", "(1,200)")
+ * @param {string} raw - Cell value
+ * @returns {{value: number | null, error: string | null}}
+ */
+export const parseNumber = (raw) => {
+  let text = String(raw === undefined || raw === null ? "" : raw)
+    .replace(/\s/g, "");
+  if (!text) {
+    return { value: null, error: "empty value" };
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.startsWith("-")) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+  text = text.replace(CURRENCY_PATTERN, "");
+  if (text.startsWith("-")) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+
+  if (text.includes(",")) {
+    if (!INTERNATIONAL_GROUPING.test(text) && !INDIAN_GROUPING.test(text)) {
+      return { value: null, error: `"${raw}" has unrecognised digit grouping` };
+    }
+    text = text.replace(/,/g, "");
+  }
+
+  if (!PLAIN_NUMBER.test(text)) {
+    return { value: null, error: `"${raw}" is not a number` };
+  }
+
+  const value = Number(text);
+  return { value: negative ? -value : value, error: null };
+};
+
+/**
+ * Serialize rows to CSV text, quoting cells that contain delimiters, quotes
+ * or line breaks
+ * @param {Array<Array<string | number>>} rows - Rows of cells
+ * @returns {string}
+ */
+export const toCsv = (rows) =>
+  rows
+    .map((row) => row.map((cell) => {
+      const text = cell === undefined || cell === null ? "" : String(cell);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(","))
+    .join("\n");
+
+/**
+ * Offer text as a file download in the browser
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (fileName, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.setAttribute("download", fileName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Offer rows as a CSV file download in the browser
+ * @param {string} fileName - Suggested file name
+ * @param {Array<Array<string | number>>} rows - Rows of cells, header first
+ */
+export const downloadCsv = (fileName, rows) => {
+  downloadFile(fileName, toCsv(rows), "text/csv;charset=utf-8;");
+};
@@ -1,124 +1,133 @@
 // Utility to geocode pincodes to coordinates
-// This uses a free geocoding service for Indian pincodes
-// You can replace this with your own geocoding service or API
-
-import pincodeLatLng from "../data/india_pincodes_lat_lng.json";
-
-// Sample mapping for some common Indian pincodes (you can expand this)
-const pincodeCoordinates = {
-  "110001": [28.6139, 77.2090], // New Delhi
-  "400001": [18.9388, 72.8354], // Mumbai
-  "560001": [12.9716, 77.5946], // Bangalore
-  "700001": [22.5448, 88.3426], // Kolkata
-  "110002": [28.6139, 78.2090], // New Delhi
-  "600001": [13.0827, 80.2707], // Chennai
-  "380001": [23.0225, 72.5714], // Ahmedabad
-  "400002": [18.9388, 72.8354], // Mumbai
-  "560002": [12.9716, 77.5946], // Bangalore
-  "700002": [22.5448, 88.3426], // Kolkata
-  "600002": [13.0827, 80.2707], // Chennai
-  "380002": [23.0225, 72.5714], // Ahmedabad
-};
+// Lookups go through a chain of providers (see geocodeProviders.js), configured
+// per deployment; answers from remote providers are cached in IndexedDB (see
+// coordinateStore.js).
 
-const memoryCache = new Map();
-const STORAGE_KEY = "pincodeCoordinateCache_v1";
+import { getStoredCoordinates, storeCoordinates } from "./coordinateStore";
+import {
+  createProvidersFromEnv,
+  lookupBundledPincode,
+  withPolicy
+} from "./geocodeProviders";
+import { cleanPincode } from "./pincode";
 
-const readStorageCache = () => {
-  if (typeof window === "undefined") return {};
-  try {
-    const stored = window.localStorage.getItem(STORAGE_KEY);
-    return stored ? JSON.parse(stored) : {};
-  } catch (error) {
-    return {};
-  }
-};
+const normalizePincode = (pincode) => cleanPincode(pincode).value;
 
-const writeStorageCache = (cache) => {
-  if (typeof window === "undefined") return;
-  try {
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
-  } catch (error) {
-    // Ignore storage failures (quota / privacy mode)
-  }
-};
+let providerChain = null;
 
-const getCachedCoordinates = (pincode) => {
-  if (memoryCache.has(pincode)) {
-    return memoryCache.get(pincode);
-  }
-  const storageCache = readStorageCache();
-  if (storageCache[pincode]) {
-    memoryCache.set(pincode, storageCache[pincode]);
-    return storageCache[pincode];
-  }
-  return null;
+/**
+ * Replace the provider chain (by default it is built from REACT_APP_ variables)
+ * @param {Array<Object>} providers - Providers in lookup order
+ */
+export const setGeocoderProviders = (providers) => {
+  providerChain = providers.map((provider) => ({ provider, lookup: withPolicy(provider) }));
 };
 
-const setCachedCoordinates = (pincode, coords) => {
-  memoryCache.set(pincode, coords);
-  const storageCache = readStorageCache();
-  storageCache[pincode] = coords;
-  writeStorageCache(storageCache);
+const getProviderChain = () => {
+  if (!providerChain) setGeocoderProviders(createProvidersFromEnv());
+  return providerChain;
 };
 
-const normalizePincode = (pincode) => String(pincode || "").trim();
+/**
+ * Ids of the configured providers, in lookup order
+ * @returns {Array<string>}
+ */
+export const getGeocoderProviderIds = () =>
+  getProviderChain().map(({ provider }) => provider.id);
+
+/**
+ * Look up a pincode in the bundled datasets without touching caches or the network
+ * @param {string} pincode - The pincode to look up
+ * @returns {[number, number] | null}
+ */
+export const getLocalCoordinates = (pincode) =>
+  lookupBundledPincode(normalizePincode(pincode)).coords;
 
 /**
- * Geocode a pincode to coordinates with metadata
+ * Post office / locality name of a pincode from the bundled dataset
+ * @param {string} pincode - The pincode to look up
+ * @returns {string | null}
+ */
+export const getLocalityName = (pincode) =>
+  lookupBundledPincode(normalizePincode(pincode)).name;
+
+/**
+ * Geocode a pincode to coordinates with metadata. Providers are tried in
+ * order; a provider that fails (after its own retries) is skipped.
  * @param {string} pincode - The pincode to geocode
- * @returns {Promise<{coords: [number, number] | null, source: string}>}
+ * @param {{signal?: AbortSignal}} [options] - Abort signal for remote lookups
+ * @returns {Promise<{coords: [number, number] | null, source: string, cached: boolean, name: string | null, approximate: boolean, errors: Array<string>}>}
+ * `source` is the id of the provider that answered, "none" when no provider
+ * knew the pincode, "error" when a provider failed and none answered, or
+ * "invalid" for an empty pincode. `approximate` marks a shared centroid
+ * rather than the pincode's own location.
  */
-export const geocodePincodeWithMeta = async (pincode) => {
+export const geocodePincodeWithMeta = async (pincode, { signal } = {}) => {
   const normalizedPincode = normalizePincode(pincode);
   if (!normalizedPincode) {
-    return { coords: null, source: "invalid" };
+    return { coords: null, source: "invalid", cached: false, name: null, approximate: false, errors: [] };
   }
 
-  const cached = getCachedCoordinates(normalizedPincode);
-  if (cached) {
-    return { coords: cached, source: "cache" };
-  }
-
-  const localEntry = pincodeLatLng[normalizedPincode];
-  if (localEntry && typeof localEntry.lat === "number" && typeof localEntry.lng === "number") {
-    const coords = [localEntry.lat, localEntry.lng];
-    setCachedCoordinates(normalizedPincode, coords);
-    return { coords, source: "local" };
-  }
+  // Only coordinates are cached; the name always comes from the bundled dataset
+  const name = getLocalityName(normalizedPincode);
 
-  // Check if we have coordinates in our mapping
-  if (pincodeCoordinates[normalizedPincode]) {
-    setCachedCoordinates(normalizedPincode, pincodeCoordinates[normalizedPincode]);
-    return { coords: pincodeCoordinates[normalizedPincode], source: "static" };
+  const cached = await getStoredCoordinates(normalizedPincode);
+  if (cached) {
+    return {
+      coords: cached.coords,
+      source: cached.source,
+      cached: true,
+      name,
+      approximate: false,
+      errors: []
+    };
   }
 
-  // For Indian pincodes, you can use a geocoding API
-  // Example using a free service (you may need to replace with your own API)
-  try {
-    // Using Nominatim (OpenStreetMap) geocoding - free but rate-limited
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?postalcode=${normalizedPincode}&country=India&format=json&limit=1`,
-      {
-        headers: {
-          'User-Agent': 'MapChartApp/1.0'
-        }
+  const errors = [];
+  for (const { provider, lookup } of getProviderChain()) {
+    let result = null;
+    try {
+      result = await lookup(normalizedPincode, { signal });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.warn(`Geocoder "${provider.id}" failed for pincode ${normalizedPincode}:`, error);
+      errors.push(`${provider.id}: ${error.message}`);
+    }
+    if (result && result.coords) {
+      if (provider.remote) {
+        await storeCoordinates(normalizedPincode, { coords: result.coords, source: provider.id });
       }
-    );
-    
-    const data = await response.json();
-    if (data && data.length > 0) {
-      const coords = [parseFloat(data[0].lat), parseFloat(data[0].lon)];
-      setCachedCoordinates(normalizedPincode, coords);
-      return { coords, source: "api" };
+      return {
+        coords: result.coords,
+        source: provider.id,
+        cached: false,
+        name: name || result.name || null,
+        approximate: Boolean(result.approximate),
+        errors
+      };
     }
-  } catch (error) {
-    console.warn(`Failed to geocode pincode ${normalizedPincode}:`, error);
   }
 
-  // Fallback: return null if geocoding fails
-  return { coords: null, source: "none" };
+  return {
+    coords: null,
+    source: errors.length > 0 ? "error" : "none",
+    cached: false,
+    name,
+    approximate: false,
+    errors
+  };
 };
 
+/**
+ * Store coordinates entered by hand. They go into the same cache as remote
+ * answers, so later runs pick them up before any provider is asked.
+ * @param {string} pincode - The pincode being fixed
+ * @param {[number, number]} coords - [latitude, longitude]
+ * @returns {Promise<void>}
+ */
+export const saveManualCoordinates = (pincode, coords) =>
+  storeCoordinates(normalizePincode(pincode), { coords, source: "manual" });
+
 /**
  * Geocode a pincode to coordinates
  * @param {string} pincode - The pincode to geocode
@@ -137,18 +146,13 @@ export const geocodePincode = async (pincode) => {
 export const geocodePincodes = async (pincodes) => {
   const results = {};
   
-  // Process in batches to avoid rate limiting
+  // Sequential on purpose: each provider enforces its own rate limit
   for (let i = 0; i < pincodes.length; i++) {
     const pincode = pincodes[i];
     const result = await geocodePincodeWithMeta(pincode);
     if (result.coords) {
       results[pincode] = result.coords;
     }
-    
-    // Add delay to avoid rate limiting (500ms between requests)
-    if (result.source === "api" && i < pincodes.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
   }
   
   return results;
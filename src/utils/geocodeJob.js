@@ -0,0 +1,154 @@
+// Background geocoding job for a dataset
+// Runs lookups with bounded concurrency, reports progress in throttled
+// batches instead of once per row, and can be paused, resumed or cancelled.
+
+import { geocodePincodeWithMeta, getLocalityName } from "./geocode";
+import { isValidPincodeFormat } from "./pincode";
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_BATCH_INTERVAL_MS = 250;
+
+/**
+ * Explain why a pincode could not be located
+ * @param {string} pincode - The pincode that failed
+ * @param {{source: string, errors?: Array<string>}} result - Result from geocodePincodeWithMeta
+ * @returns {{reason: "invalid" | "not_found" | "api_error", message: string}}
+ */
+export const describeGeocodeFailure = (pincode, result) => {
+  if (!isValidPincodeFormat(String(pincode || "").trim())) {
+    return { reason: "invalid", message: "Invalid pincode format" };
+  }
+  if (result.source === "error") {
+    const details = (result.errors || []).join("; ");
+    return { reason: "api_error", message: `Geocoding service error${details ? `: ${details}` : ""}` };
+  }
+  return { reason: "not_found", message: "Not in dataset" };
+};
+
+/**
+ * Create a geocoding job. Items that already carry coordinates are kept as
+ * is; the rest are geocoded. `onProgress` receives the located items in input
+ * order at most once per batch interval, plus once whenever the status changes.
+ * @param {Array<Object>} items - Dataset rows with `pincode` and optional `coordinates`
+ * @param {Object} options - Job settings
+ * @param {function(Object): void} options.onProgress - Called with `{items, current, total, failures, failed, status}`;
+ * `failed` rows carry `reason` and `message` from describeGeocodeFailure
+ * @param {number} [options.concurrency] - Lookups in flight at once
+ * @param {number} [options.batchIntervalMs] - Minimum gap between progress reports
+ * @param {function(string, {signal: AbortSignal}): Promise<Object>} [options.geocode] - Lookup function
+ * @returns {{start: function(): void, pause: function(): void, resume: function(): void, cancel: function(): void}}
+ */
+export const createGeocodeJob = (items, {
+  onProgress,
+  concurrency = DEFAULT_CONCURRENCY,
+  batchIntervalMs = DEFAULT_BATCH_INTERVAL_MS,
+  geocode = geocodePincodeWithMeta
+}) => {
+  const rows = items || [];
+  const results = rows.map((item) => (
+    item.coordinates ? { ...item, locality: getLocalityName(item.pincode) } : null
+  ));
+  const targets = rows.reduce((acc, item, index) => {
+    if (!item.coordinates) acc.push(index);
+    return acc;
+  }, []);
+  const failed = [];
+  const controller = new AbortController();
+
+  let status = "idle";
+  let nextTarget = 0;
+  let completed = 0;
+  let activeWorkers = 0;
+  let flushTimer = null;
+  let resumeWaiters = [];
+
+  const report = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    onProgress({
+      items: results.filter(Boolean),
+      current: completed,
+      total: targets.length,
+      failures: failed.length,
+      failed: [...failed],
+      status
+    });
+  };
+
+  const scheduleReport = () => {
+    if (!flushTimer) flushTimer = setTimeout(report, batchIntervalMs);
+  };
+
+  const setStatus = (nextStatus) => {
+    status = nextStatus;
+    report();
+  };
+
+  const waitWhilePaused = () => (
+    status === "paused"
+      ? new Promise((resolve) => resumeWaiters.push(resolve))
+      : Promise.resolve()
+  );
+
+  const runWorker = async () => {
+    activeWorkers += 1;
+    while (nextTarget < targets.length) {
+      await waitWhilePaused();
+      if (status === "cancelled" || nextTarget >= targets.length) break;
+      const index = targets[nextTarget];
+      nextTarget += 1;
+      const item = rows[index];
+      let result;
+      try {
+        result = await geocode(item.pincode, { signal: controller.signal });
+      } catch (error) {
+        if (status === "cancelled") break;
+        result = { coords: null, source: "error", errors: [error.message] };
+      }
+      if (status === "cancelled") break;
+      if (result.coords) {
+        results[index] = {
+          ...item,
+          coordinates: result.coords,
+          coordinateSource: result.source,
+          approximate: Boolean(result.approximate),
+          locality: result.name
+        };
+      } else {
+        failed.push({ ...item, ...describeGeocodeFailure(item.pincode, result) });
+      }
+      completed += 1;
+      scheduleReport();
+    }
+    activeWorkers -= 1;
+    if (activeWorkers === 0 && status !== "cancelled") setStatus("done");
+  };
+
+  return {
+    start: () => {
+      if (status !== "idle") return;
+      setStatus(targets.length === 0 ? "done" : "running");
+      const workerCount = Math.min(concurrency, targets.length);
+      for (let i = 0; i < workerCount; i += 1) runWorker();
+    },
+    pause: () => {
+      if (status === "running") setStatus("paused");
+    },
+    resume: () => {
+      if (status !== "paused") return;
+      setStatus("running");
+      resumeWaiters.forEach((resolve) => resolve());
+      resumeWaiters = [];
+    },
+    cancel: () => {
+      if (status === "done" || status === "cancelled") return;
+      controller.abort();
+      setStatus("cancelled");
+      // Let paused workers see the cancellation and exit
+      resumeWaiters.forEach((resolve) => resolve());
+      resumeWaiters = [];
+    }
+  };
+};
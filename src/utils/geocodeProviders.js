@@ -0,0 +1,450 @@
+// Geocoder providers and the policies that wrap them
+// A provider is `{id, remote, policy, lookup(pincode, {signal})}` where lookup
+// resolves to `{coords, name?, approximate?}` or null when the provider doesn't know the
+// pincode, and throws a GeocodeProviderError when the request itself failed.
+// The chain used by geocode.js is read from REACT_APP_ environment variables
+// so each deployment can pick its own sources.
+
+import pincodeLatLng from "../data/india_pincodes_lat_lng.json";
+import { parseCsv } from "./csv";
+
+// Sample mapping for some common Indian pincodes (you can expand this)
+const pincodeCoordinates = {
+  "110001": [28.6139, 77.2090], // New Delhi
+  "400001": [18.9388, 72.8354], // Mumbai
+  "560001": [12.9716, 77.5946], // Bangalore
+  "700001": [22.5448, 88.3426], // Kolkata
+  "110002": [28.6139, 78.2090], // New Delhi
+  "600001": [13.0827, 80.2707], // Chennai
+  "380001": [23.0225, 72.5714], // Ahmedabad
+  "400002": [18.9388, 72.8354], // Mumbai
+  "560002": [12.9716, 77.5946], // Bangalore
+  "700002": [22.5448, 88.3426], // Kolkata
+  "600002": [13.0827, 80.2707], // Chennai
+  "380002": [23.0225, 72.5714], // Ahmedabad
+};
+
+const DEFAULT_CHAIN = ["local", "static", "nominatim"];
+
+const NO_POLICY = { rateLimitMs: 0, timeoutMs: 0, retries: 0, backoffMs: 0 };
+
+const DEFAULT_REMOTE_POLICY = { rateLimitMs: 300, timeoutMs: 8000, retries: 2, backoffMs: 500 };
+
+// Nominatim's usage policy allows at most one request per second
+const NOMINATIM_POLICY = { rateLimitMs: 1100, timeoutMs: 10000, retries: 2, backoffMs: 2000 };
+
+// A lookup file that failed to download isn't asked for again until this has passed
+const LOOKUP_RETRY_COOLDOWN_MS = 5 * 60 * 1000;
+
+/**
+ * Error thrown by providers when a lookup failed (as opposed to "not found")
+ */
+export class GeocodeProviderError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {{retryable?: boolean, status?: number}} [details] - Whether retrying may help
+   */
+  constructor(message, { retryable = true, status = null } = {}) {
+    super(message);
+    this.name = "GeocodeProviderError";
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+const isValidCoordinates = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const toCoordinates = (lat, lng) => {
+  const parsedLat = parseFloat(lat);
+  const parsedLng = parseFloat(lng);
+  return isValidCoordinates(parsedLat, parsedLng) ? [parsedLat, parsedLng] : null;
+};
+
+const cancelledError = () => new GeocodeProviderError("Geocoding cancelled", { retryable: false });
+
+// The job-wide signal outlives every wait, so each wait takes its abort
+// listener off again when the timer fires
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(cancelledError());
+    return;
+  }
+  if (ms <= 0) {
+    resolve();
+    return;
+  }
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener("abort", handleAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener("abort", handleAbort, { once: true });
+});
+
+// Fetch JSON with a timeout; HTTP 429 and 5xx are retryable, other errors aren't
+const fetchJson = async (url, { headers, timeoutMs, signal }) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener("abort", abort, { once: true });
+  }
+  const timer = timeoutMs > 0 ? setTimeout(abort, timeoutMs) : null;
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    if (!response.ok) {
+      throw new GeocodeProviderError(`HTTP ${response.status}`, {
+        retryable: response.status === 429 || response.status >= 500,
+        status: response.status
+      });
+    }
+    return await response.json();
+  } catch (error) {
+    if (error instanceof GeocodeProviderError) throw error;
+    if (signal && signal.aborted) {
+      throw cancelledError();
+    }
+    if (error.name === "AbortError") {
+      throw new GeocodeProviderError(`Timed out after ${timeoutMs}ms`);
+    }
+    throw new GeocodeProviderError(error.message || "Network error");
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", abort);
+  }
+};
+
+let sharedCoordinateCounts = null;
+
+// Number of bundled pincodes at each exact coordinate
+const getSharedCoordinateCounts = () => {
+  if (sharedCoordinateCounts) return sharedCoordinateCounts;
+  sharedCoordinateCounts = new Map();
+  Object.keys(pincodeLatLng).forEach((pincode) => {
+    const entry = pincodeLatLng[pincode];
+    const key = `${entry.lat},${entry.lng}`;
+    sharedCoordinateCounts.set(key, (sharedCoordinateCounts.get(key) || 0) + 1);
+  });
+  return sharedCoordinateCounts;
+};
+
+/**
+ * How many bundled pincodes share a pincode's coordinate. Many entries carry
+ * a low-precision district or taluk centroid instead of a real location.
+ * @param {string} pincode - Normalized pincode
+ * @returns {number} - 0 when the pincode isn't bundled
+ */
+export const getSharedCoordinateCount = (pincode) => {
+  const entry = pincodeLatLng[pincode];
+  return entry ? getSharedCoordinateCounts().get(`${entry.lat},${entry.lng}`) || 0 : 0;
+};
+
+/**
+ * Bundled pincode dataset. Coordinates shared with other pincodes are
+ * reported as approximate.
+ * @returns {Object} - Provider
+ */
+export const createLocalProvider = () => ({
+  id: "local",
+  remote: false,
+  policy: NO_POLICY,
+  lookup: async (pincode) => {
+    const entry = pincodeLatLng[pincode];
+    if (!entry) return null;
+    const coords = toCoordinates(entry.lat, entry.lng);
+    return coords
+      ? { coords, name: entry.name || null, approximate: getSharedCoordinateCount(pincode) > 1 }
+      : null;
+  }
+});
+
+/**
+ * Hand-maintained sample coordinates
+ * @returns {Object} - Provider
+ */
+export const createStaticProvider = () => ({
+  id: "static",
+  remote: false,
+  policy: NO_POLICY,
+  lookup: async (pincode) => (
+    pincodeCoordinates[pincode] ? { coords: pincodeCoordinates[pincode] } : null
+  )
+});
+
+/**
+ * Internal geocoding endpoint. The URL may contain a `{pincode}` placeholder
+ * (otherwise `?pincode=` is appended); the response may be `{lat, lng}`,
+ * `{latitude, longitude}` or a list of such objects (`lon` is accepted too).
+ * @param {{id?: string, url: string, headers?: Object, policy?: Object}} options - Endpoint settings
+ * @returns {Object} - Provider
+ */
+export const createHttpProvider = ({ id = "http", url, headers = {}, policy = {} }) => {
+  const effectivePolicy = { ...DEFAULT_REMOTE_POLICY, ...policy };
+  return {
+    id,
+    remote: true,
+    policy: effectivePolicy,
+    lookup: async (pincode, { signal } = {}) => {
+      const encoded = encodeURIComponent(pincode);
+      const requestUrl = url.includes("{pincode}")
+        ? url.replace("{pincode}", encoded)
+        : `${url}${url.includes("?") ? "&" : "?"}pincode=${encoded}`;
+      const data = await fetchJson(requestUrl, {
+        headers,
+        timeoutMs: effectivePolicy.timeoutMs,
+        signal
+      });
+      const entry = Array.isArray(data) ? data[0] : data;
+      if (!entry) return null;
+      const coords = toCoordinates(
+        entry.lat !== undefined ? entry.lat : entry.latitude,
+        entry.lng !== undefined ? entry.lng : entry.lon !== undefined ? entry.lon : entry.longitude
+      );
+      return coords ? { coords, name: entry.name || null } : null;
+    }
+  };
+};
+
+/**
+ * OpenStreetMap Nominatim (free, one request per second)
+ * @param {{url?: string, email?: string, policy?: Object}} [options] - Endpoint settings
+ * @returns {Object} - Provider
+ */
+export const createNominatimProvider = ({
+  url = "https://nominatim.openstreetmap.org/search",
+  email = "",
+  policy = {}
+} = {}) => {
+  const effectivePolicy = { ...NOMINATIM_POLICY, ...policy };
+  return {
+    id: "nominatim",
+    remote: true,
+    policy: effectivePolicy,
+    lookup: async (pincode, { signal } = {}) => {
+      // Browsers don't let scripts set User-Agent; Nominatim asks for an email instead
+      const contact = email ? `&email=${encodeURIComponent(email)}` : "";
+      const data = await fetchJson(
+        `${url}?postalcode=${encodeURIComponent(pincode)}&country=India&format=json&limit=1${contact}`,
+        { timeoutMs: effectivePolicy.timeoutMs, signal }
+      );
+      if (!data || data.length === 0) return null;
+      const coords = toCoordinates(data[0].lat, data[0].lon);
+      return coords ? { coords } : null;
+    }
+  };
+};
+
+/**
+ * Parse a pincode lookup file: a JSON object keyed by pincode, a JSON array
+ * of `{pincode, lat, lng}` rows, or a CSV with pincode/lat/lng columns
+ * @param {string} text - File contents
+ * @returns {Map<string, {coords: [number, number], name: string | null}>}
+ */
+export const parseLookupFile = (text) => {
+  const table = new Map();
+  const add = (pincode, lat, lng, name) => {
+    const coords = toCoordinates(lat, lng);
+    if (pincode && coords) table.set(String(pincode).trim(), { coords, name: name || null });
+  };
+
+  const trimmed = String(text || "").trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) {
+      data.forEach((row) => add(
+        row.pincode,
+        row.lat !== undefined ? row.lat : row.latitude,
+        row.lng !== undefined ? row.lng : row.longitude,
+        row.name
+      ));
+    } else {
+      Object.keys(data).forEach((pincode) => {
+        const row = data[pincode];
+        if (Array.isArray(row)) {
+          add(pincode, row[0], row[1]);
+        } else if (row) {
+          add(pincode, row.lat, row.lng, row.name);
+        }
+      });
+    }
+    return table;
+  }
+
+  const { rows } = parseCsv(trimmed);
+  if (rows.length < 2) return table;
+  const headers = rows[0].map((header) => header.toLowerCase());
+  const column = (names) => headers.findIndex((header) => names.includes(header));
+  const pincodeIndex = column(["pincode", "pin", "pin code", "postal code", "zip"]);
+  const latIndex = column(["lat", "latitude"]);
+  const lngIndex = column(["lng", "lon", "long", "longitude"]);
+  const nameIndex = column(["name", "locality", "office", "officename"]);
+  if (pincodeIndex === -1 || latIndex === -1 || lngIndex === -1) {
+    throw new Error("Lookup CSV needs pincode, lat and lng columns");
+  }
+  rows.slice(1).forEach((row) => {
+    add(row[pincodeIndex], row[latIndex], row[lngIndex], nameIndex === -1 ? null : row[nameIndex]);
+  });
+  return table;
+};
+
+/**
+ * User-supplied JSON/CSV lookup file, fetched once on first use. A failed
+ * download is remembered for a cooldown, so a broken URL costs one request
+ * rather than one per pincode.
+ * @param {{url: string, policy?: Object}} options - Where the file is served from
+ * @returns {Object} - Provider
+ */
+export const createLookupFileProvider = ({ url, policy = {} }) => {
+  let tablePromise = null;
+  let failedAt = null;
+  const effectivePolicy = { ...DEFAULT_REMOTE_POLICY, rateLimitMs: 0, ...policy };
+  return {
+    id: "lookup",
+    // The file is downloaded once, so answers don't need the coordinate cache
+    remote: false,
+    policy: effectivePolicy,
+    lookup: async (pincode) => {
+      if (failedAt !== null && Date.now() - failedAt >= LOOKUP_RETRY_COOLDOWN_MS) {
+        tablePromise = null;
+        failedAt = null;
+      }
+      if (!tablePromise) {
+        // Shared by every job, so only the policy timeout can cut it short
+        const controller = new AbortController();
+        const { timeoutMs } = effectivePolicy;
+        const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+        tablePromise = fetch(url, { signal: controller.signal })
+          .then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.text();
+          })
+          .then(parseLookupFile)
+          .catch((error) => {
+            failedAt = Date.now();
+            const reason = error.name === "AbortError" ? `timed out after ${timeoutMs}ms` : error.message;
+            // Retrying per pincode would only download the same broken file again
+            throw new GeocodeProviderError(`Lookup file unavailable: ${reason}`, { retryable: false });
+          })
+          .finally(() => {
+            if (timer) clearTimeout(timer);
+          });
+      }
+      const table = await tablePromise;
+      return table.get(pincode) || null;
+    }
+  };
+};
+
+/**
+ * Wrap a provider with its rate limit, timeout-aware retries and exponential
+ * backoff. Calls to the same provider are spaced at least `rateLimitMs` apart.
+ * @param {Object} provider - Provider from one of the factories
+ * @returns {function(string, {signal?: AbortSignal}): Promise<{coords: [number, number], name?: string} | null>}
+ */
+export const withPolicy = (provider) => {
+  const { rateLimitMs, retries, backoffMs } = { ...NO_POLICY, ...provider.policy };
+  let lastStart = -Infinity;
+  let queue = Promise.resolve();
+
+  // Callers queue up and each waits for its turn once it reaches the front,
+  // so a cancelled wait gives its slot back instead of delaying later calls
+  const takeSlot = (signal) => {
+    const turn = queue.then(async () => {
+      await wait(lastStart + rateLimitMs - Date.now(), signal);
+      lastStart = Date.now();
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  return async (pincode, { signal } = {}) => {
+    for (let attempt = 0; ; attempt += 1) {
+      if (rateLimitMs > 0) await takeSlot(signal);
+      try {
+        return await provider.lookup(pincode, { signal });
+      } catch (error) {
+        const retryable = !(error instanceof GeocodeProviderError) || error.retryable;
+        if (!retryable || attempt >= retries || (signal && signal.aborted)) throw error;
+        await wait(backoffMs * 2 ** attempt, signal);
+      }
+    }
+  };
+};
+
+const readPolicyOverrides = () => {
+  try {
+    return JSON.parse(process.env.REACT_APP_GEOCODER_POLICIES || "{}");
+  } catch (error) {
+    console.warn("Ignoring invalid REACT_APP_GEOCODER_POLICIES", error);
+    return {};
+  }
+};
+
+const readHeaders = () => {
+  try {
+    return JSON.parse(process.env.REACT_APP_GEOCODER_HTTP_HEADERS || "{}");
+  } catch (error) {
+    console.warn("Ignoring invalid REACT_APP_GEOCODER_HTTP_HEADERS", error);
+    return {};
+  }
+};
+
+/**
+ * Build the provider chain from the environment:
+ * - REACT_APP_GEOCODER_CHAIN: comma-separated ids, e.g. "local,http,nominatim"
+ * - REACT_APP_GEOCODER_HTTP_URL / REACT_APP_GEOCODER_HTTP_HEADERS (JSON) for "http"
+ * - REACT_APP_GEOCODER_LOOKUP_URL for "lookup"
+ * - REACT_APP_NOMINATIM_URL / REACT_APP_NOMINATIM_EMAIL for "nominatim"
+ * - REACT_APP_GEOCODER_POLICIES: JSON of per-provider policy overrides,
+ *   e.g. {"http": {"rateLimitMs": 0, "retries": 3}}
+ * Providers that are listed but not configured are skipped with a warning.
+ * @returns {Array<Object>} - Providers in lookup order
+ */
+export const createProvidersFromEnv = () => {
+  const env = process.env;
+  const policies = readPolicyOverrides();
+  const chain = (env.REACT_APP_GEOCODER_CHAIN || DEFAULT_CHAIN.join(","))
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return chain.map((id) => {
+    const policy = policies[id] || {};
+    if (id === "local") return createLocalProvider();
+    if (id === "static") return createStaticProvider();
+    if (id === "nominatim") {
+      return createNominatimProvider({
+        url: env.REACT_APP_NOMINATIM_URL || undefined,
+        email: env.REACT_APP_NOMINATIM_EMAIL || "",
+        policy
+      });
+    }
+    if (id === "http" && env.REACT_APP_GEOCODER_HTTP_URL) {
+      return createHttpProvider({ url: env.REACT_APP_GEOCODER_HTTP_URL, headers: readHeaders(), policy });
+    }
+    if (id === "lookup" && env.REACT_APP_GEOCODER_LOOKUP_URL) {
+      return createLookupFileProvider({ url: env.REACT_APP_GEOCODER_LOOKUP_URL, policy });
+    }
+    console.warn(`Geocoder provider "${id}" is unknown or not configured; skipping it`);
+    return null;
+  }).filter(Boolean);
+};
+
+/**
+ * Look up a pincode in the bundled datasets without going through the chain
+ * @param {string} pincode - Normalized pincode
+ * @returns {{coords: [number, number] | null, name: string | null}}
+ */
+export const lookupBundledPincode = (pincode) => {
+  const entry = pincodeLatLng[pincode];
+  const coords = entry ? toCoordinates(entry.lat, entry.lng) : null;
+  return {
+    coords: coords || pincodeCoordinates[pincode] || null,
+    name: entry && entry.name ? entry.name : null
+  };
+};
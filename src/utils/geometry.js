@@ -0,0 +1,88 @@
+// Geometry for map selections
+// Shapes are plain objects so they can be saved as JSON:
+//   {type: "polygon" | "lasso", points: [[lat, lng], ...]}
+//   {type: "rectangle", bounds: [[south, west], [north, east]]}
+//   {type: "circle", center: [lat, lng], radius: meters}
+// Areas in a single state or district are small enough to treat latitude and
+// longitude as planar for containment tests.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {[number, number]} from - [latitude, longitude]
+ * @param {[number, number]} to - [latitude, longitude]
+ * @returns {number} - Distance in meters
+ */
+export const distanceMeters = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Ray-casting containment test against a closed ring
+ * @param {[number, number]} point - [latitude, longitude]
+ * @param {Array<[number, number]>} ring - Polygon vertices; the closing edge is implied
+ * @returns {boolean}
+ */
+export const isPointInPolygon = ([lat, lng], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Check whether a point falls inside a selection shape
+ * @param {[number, number]} point - [latitude, longitude]
+ * @param {Object} shape - Selection shape
+ * @returns {boolean}
+ */
+export const isPointInShape = (point, shape) => {
+  if (!point || !shape) return false;
+  if (shape.type === "circle") {
+    return distanceMeters(point, shape.center) <= shape.radius;
+  }
+  if (shape.type === "rectangle") {
+    const [[south, west], [north, east]] = shape.bounds;
+    return point[0] >= south && point[0] <= north && point[1] >= west && point[1] <= east;
+  }
+  return shape.points.length >= 3 && isPointInPolygon(point, shape.points);
+};
+
+/**
+ * Rectangle shape from two opposite corners, in any order
+ * @param {[number, number]} a - [latitude, longitude]
+ * @param {[number, number]} b - [latitude, longitude]
+ * @returns {Object} - Rectangle shape
+ */
+export const rectangleFromCorners = (a, b) => ({
+  type: "rectangle",
+  bounds: [
+    [Math.min(a[0], b[0]), Math.min(a[1], b[1])],
+    [Math.max(a[0], b[0]), Math.max(a[1], b[1])]
+  ]
+});
+
+/**
+ * Short description of a shape for lists, e.g. "Circle, 12.5 km radius"
+ * @param {Object} shape - Selection shape
+ * @returns {string}
+ */
+export const describeShape = (shape) => {
+  if (shape.type === "circle") {
+    return `Circle, ${(shape.radius / 1000).toFixed(1)} km radius`;
+  }
+  if (shape.type === "rectangle") return "Rectangle";
+  return `${shape.type === "lasso" ? "Lasso" : "Polygon"}, ${shape.points.length} points`;
+};
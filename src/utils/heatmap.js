@@ -0,0 +1,116 @@
+// Weights and colour ramps for the heatmap layer
+// Every point gets a weight between 0 and 1 from its value; leaflet.heat adds
+// up the weights of points that overlap on screen and colours the sum along
+// the gradient, reaching the top colour at the layer's max intensity.
+import { PALETTES } from "./classification";
+
+/**
+ * Ways of turning values into heat weights
+ */
+export const HEAT_NORMALIZATIONS = [
+  { key: "linear", label: "Linear" },
+  { key: "log", label: "Log" },
+  { key: "percentile", label: "Percentile" }
+];
+
+/**
+ * Summed weights at which the heat reaches its top colour; 1 is the weight of
+ * the highest value on its own
+ */
+export const HEAT_MAX_INTENSITIES = [0.25, 0.5, 1, 2, 5, 10, 25];
+
+/**
+ * Heat colour ramps: leaflet.heat's own blue-to-red and the sequential palettes
+ */
+export const HEAT_GRADIENTS = [
+  {
+    key: "heat",
+    label: "Classic heat",
+    stops: { 0.4: "#0000ff", 0.6: "#00ffff", 0.7: "#00ff00", 0.8: "#ffff00", 1: "#ff0000" }
+  },
+  ...PALETTES.filter((palette) => palette.type === "sequential").map((palette) => ({
+    key: palette.key,
+    label: palette.label,
+    colorBlindSafe: palette.colorBlindSafe,
+    // Faint heat sits on the first colour, so start the ramp a little way in
+    stops: palette.colors.reduce((stops, color, index) => ({
+      ...stops,
+      [0.2 + (0.8 * index) / (palette.colors.length - 1)]: color
+    }), {})
+  }))
+];
+
+/**
+ * Look up a heat gradient, falling back to the classic ramp
+ * @param {string} key - Gradient key
+ * @returns {{key: string, label: string, stops: Object<number, string>}}
+ */
+export const getHeatGradient = (key) => (
+  HEAT_GRADIENTS.find((gradient) => gradient.key === key) || HEAT_GRADIENTS[0]
+);
+
+/**
+ * CSS linear-gradient matching a heat gradient, for the legend
+ * @param {{stops: Object<number, string>}} gradient - From HEAT_GRADIENTS
+ * @returns {string}
+ */
+export const getHeatGradientCss = (gradient) => {
+  const stops = Object.keys(gradient.stops)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((position) => `${gradient.stops[position]} ${Math.round(position * 100)}%`);
+  return `linear-gradient(to right, transparent, ${stops.join(", ")})`;
+};
+
+/**
+ * Map values to heat weights and back
+ * @param {Array<number>} values - Values of the points on the heatmap
+ * @param {string} normalization - One of HEAT_NORMALIZATIONS
+ * @returns {{weigh: function(number): number, valueAt: function(number): number}}
+ * `weigh` turns a value into a 0-1 weight; `valueAt` gives the value a single
+ * point needs to reach a weight
+ */
+export const createHeatNormalizer = (values, normalization) => {
+  if (values.length === 0) {
+    return { weigh: () => 0, valueAt: () => 0 };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  // Changes can be negative; shift them so the biggest decline weighs nothing
+  const floor = Math.min(0, sorted[0]);
+  const range = sorted[sorted.length - 1] - floor;
+
+  if (normalization === "percentile") {
+    const lastIndex = sorted.length - 1;
+    // Share of the other values below this one; ties share a rank
+    const weigh = (value) => {
+      if (lastIndex === 0) return 1;
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (sorted[middle] < value) low = middle + 1;
+        else high = middle;
+      }
+      return low / lastIndex;
+    };
+    const valueAt = (weight) => sorted[Math.round(Math.min(1, Math.max(0, weight)) * lastIndex)];
+    return { weigh, valueAt };
+  }
+
+  if (range === 0) {
+    return { weigh: () => 1, valueAt: () => sorted[0] };
+  }
+
+  if (normalization === "log") {
+    const logRange = Math.log1p(range);
+    return {
+      weigh: (value) => Math.log1p(Math.max(0, value - floor)) / logRange,
+      valueAt: (weight) => floor + Math.expm1(weight * logRange)
+    };
+  }
+
+  return {
+    weigh: (value) => Math.max(0, value - floor) / range,
+    valueAt: (weight) => floor + weight * range
+  };
+};
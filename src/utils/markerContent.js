@@ -0,0 +1,148 @@
+// Tooltip and popup content for pincode markers, shared by the cluster and
+// canvas renderers so both show the same thing
+
+// Locality names come from data files, so escape them before building HTML
+export const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Settings every marker is drawn with
+ * @param {Object} settings - getColor, getRadius, formatValue, formatChangePct, metric, isComparison and selectedPincode
+ * @returns {Object} - The settings plus `formatDisplay`, which signs changes
+ */
+export const buildMarkerContext = (settings) => ({
+  ...settings,
+  // Changes carry an explicit sign so growth and decline read at a glance
+  formatDisplay: (value) => (
+    settings.isComparison && value > 0 ? `+${settings.formatValue(value)}` : settings.formatValue(value)
+  )
+});
+
+/**
+ * Values the cluster sums read from each marker
+ * @param {Object} item - Row on display
+ * @returns {Object}
+ */
+export const getMarkerFields = (item) => ({
+  value: item.value,
+  numerator: item.numerator,
+  denominator: item.denominator,
+  currentValue: item.currentValue,
+  baselineValue: item.baselineValue,
+  baselineNumerator: item.baselineNumerator,
+  baselineDenominator: item.baselineDenominator,
+  memberCount: item.memberCount || 1
+});
+
+/**
+ * Everything a marker shows, as plain values. Two views with the same key
+ * look identical, so unchanged markers can be left alone on update.
+ * @param {Object} item - Row on display
+ * @param {Object} context - From buildMarkerContext
+ * @returns {Object}
+ */
+export const buildMarkerView = (item, context) => {
+  const { getColor, getRadius, formatDisplay, formatValue, formatChangePct, metric, isComparison } = context;
+  const view = {
+    latLng: item.coordinates,
+    fields: getMarkerFields(item),
+    color: getColor(item.value),
+    radius: getRadius(item.value),
+    valueText: formatDisplay(item.value),
+    comparisonText: isComparison
+      ? `${formatValue(item.baselineValue)} → ${formatValue(item.currentValue)} (${formatChangePct(item.changePct)})`
+      : "",
+    title: item.label || `Pincode: ${item.pincode}`,
+    locality: item.locality || "",
+    level: item.level || null,
+    memberCount: item.memberCount || 1,
+    approximate: Boolean(item.approximate),
+    isSelected: context.selectedPincode === item.pincode,
+    metricLabel: `${metric.label}${isComparison ? " change" : ""}`,
+    stack: item.stack
+      ? item.stack.map((member) => ({
+        pincode: member.pincode,
+        locality: member.locality || "",
+        color: getColor(member.value),
+        text: formatDisplay(member.value)
+      }))
+      : null
+  };
+  view.key = JSON.stringify(view);
+  return view;
+};
+
+const getLocalityHtml = (view) => (
+  view.locality ? `<div style="font-weight: normal;">${escapeHtml(view.locality)}</div>` : ""
+);
+
+const getComparisonHtml = (view) => (
+  view.comparisonText
+    ? `<div style="margin-top: 4px; font-weight: normal;">${view.comparisonText}</div>`
+    : ""
+);
+
+// Shared centroids from the bundled dataset are not the pincode's own location
+const getApproximateHtml = (view) => (
+  view.approximate
+    ? `<div class="approximate-note">${view.stack ? "Approximate centroid" : "Approximate location (shared centroid)"}</div>`
+    : ""
+);
+
+/**
+ * Hover tooltip for a marker
+ * @param {Object} view - From buildMarkerView
+ * @returns {string} - HTML
+ */
+export const getTooltipHtml = (view) => {
+  // Rolled-up postal groups drill down instead of opening a popup
+  const memberText = view.level
+    ? `<div style="margin-top: 4px; font-weight: normal;">
+        ${view.memberCount} pincodes · click to drill down
+      </div>`
+    : view.stack
+      ? `<div style="margin-top: 4px; font-weight: normal;">Click to list them</div>`
+      : "";
+  return `<div style="text-align: center; font-weight: bold;">
+    <div>${view.title}</div>
+    ${getLocalityHtml(view)}
+    <div style="color: ${view.color}; margin-top: 4px;">${view.metricLabel}: ${view.valueText}</div>
+    ${getComparisonHtml(view)}
+    ${memberText}
+    ${getApproximateHtml(view)}
+  </div>`;
+};
+
+/**
+ * Click popup for a marker: stacks list their members, single pincodes show
+ * their value
+ * @param {Object} view - From buildMarkerView
+ * @returns {string} - HTML
+ */
+export const getPopupHtml = (view) => {
+  if (view.stack) {
+    return `<div class="stack-popup">
+      <strong>${view.title}</strong>
+      ${getApproximateHtml(view)}
+      <ul>
+        ${view.stack.map((member) => `<li>
+          <span>${member.pincode}${member.locality ? ` · ${escapeHtml(member.locality)}` : ""}</span>
+          <strong style="color: ${member.color};">${member.text}</strong>
+        </li>`).join("")}
+      </ul>
+    </div>`;
+  }
+  return `<div style="text-align: center; padding: 5px;">
+    <strong style="font-size: 16px;">${view.title}</strong>
+    ${getLocalityHtml(view)}
+    <div style="color: ${view.color}; font-size: 18px; font-weight: bold; margin-top: 8px;">
+      ${view.metricLabel}: ${view.valueText}
+    </div>
+    ${getComparisonHtml(view)}
+    ${getApproximateHtml(view)}
+  </div>`;
+};
@@ -0,0 +1,187 @@
+// Metric definitions for multi-metric pincode datasets
+// Every numeric column becomes a summable base metric. Derived metrics are
+// ratios of two base metrics (e.g. average order value = revenue ÷ orders) and
+// are only offered when both inputs are present in the dataset.
+
+import { DEFAULT_NUMBER_FORMAT, formatNumber, formatPercent } from "./numberFormat";
+
+const RESERVED_FIELDS = [
+  "pincode",
+  "coordinates",
+  "coordinateSource",
+  "records",
+  "metrics",
+  "lat",
+  "lng",
+  "latitude",
+  "longitude",
+  "name",
+  "date",
+  "category"
+];
+
+const CURRENCY_METRICS = ["sales", "revenue", "amount", "value", "gmv", "net_sales"];
+
+const DERIVED_METRICS = [
+  {
+    key: "average_order_value",
+    label: "Average order value",
+    numerator: ["revenue", "sales"],
+    denominator: ["orders"],
+    format: "currency"
+  },
+  {
+    key: "return_rate",
+    label: "Return rate",
+    numerator: ["returns"],
+    denominator: ["orders", "units"],
+    format: "percent"
+  },
+  {
+    key: "revenue_per_unit",
+    label: "Revenue per unit",
+    numerator: ["revenue", "sales"],
+    denominator: ["units"],
+    format: "currency"
+  }
+];
+
+const toLabel = (key) => {
+  const words = key.replace(/_/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Turn a CSV header into a metric key (e.g. "Net Sales (₹)" -> "net_sales")
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+export const toMetricKey = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "") || "metric";
+
+/**
+ * Move the numeric fields of plain items (e.g. the bundled JSON) into a
+ * `metrics` object. Items that already carry `metrics` are returned as is.
+ * @param {Array<Object>} items - Dataset rows
+ * @returns {Array<Object>}
+ */
+export const normalizeDataset = (items) =>
+  (items || []).map((item) => {
+    if (item.metrics) return item;
+    const metrics = {};
+    const rest = {};
+    Object.keys(item).forEach((key) => {
+      if (!RESERVED_FIELDS.includes(key) && typeof item[key] === "number") {
+        metrics[key] = item[key];
+      } else {
+        rest[key] = item[key];
+      }
+    });
+    return { ...rest, pincode: String(item.pincode), metrics };
+  });
+
+/**
+ * List the base and derived metrics available in a dataset
+ * @param {Array<Object>} items - Normalized dataset rows
+ * @returns {Array<{key: string, label: string, type: "sum" | "ratio", format: string, numerator?: string, denominator?: string}>}
+ */
+export const buildMetricOptions = (items) => {
+  const keys = [];
+  (items || []).forEach((item) => {
+    Object.keys(item.metrics || {}).forEach((key) => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+
+  const baseMetrics = keys.map((key) => ({
+    key,
+    label: toLabel(key),
+    type: "sum",
+    format: CURRENCY_METRICS.includes(key) ? "currency" : "number"
+  }));
+
+  const derivedMetrics = DERIVED_METRICS.map((definition) => {
+    const numerator = definition.numerator.find((key) => keys.includes(key));
+    const denominator = definition.denominator.find((key) => keys.includes(key));
+    if (!numerator || !denominator || keys.includes(definition.key)) return null;
+    return {
+      key: definition.key,
+      label: definition.label,
+      type: "ratio",
+      format: definition.format,
+      numerator,
+      denominator
+    };
+  }).filter(Boolean);
+
+  return [...baseMetrics, ...derivedMetrics];
+};
+
+/**
+ * Resolve the value of a metric for one item
+ * @param {Object} item - Normalized dataset row
+ * @param {Object} metric - Metric option from buildMetricOptions
+ * @returns {{value: number | null, numerator: number, denominator: number}}
+ */
+export const getMetricValue = (item, metric) => {
+  const metrics = item.metrics || {};
+  if (metric.type === "ratio") {
+    const numerator = metrics[metric.numerator] || 0;
+    const denominator = metrics[metric.denominator] || 0;
+    return {
+      value: denominator ? numerator / denominator : null,
+      numerator,
+      denominator
+    };
+  }
+  const value = typeof metrics[metric.key] === "number" ? metrics[metric.key] : null;
+  return { value, numerator: value || 0, denominator: 1 };
+};
+
+/**
+ * Combine the values of several items, e.g. for a cluster or the stats cards.
+ * Sums add up; for ratios the "total" is recomputed from the summed numerator
+ * and denominator so large pincodes weigh more than small ones.
+ * @param {Array<{value: number, numerator: number, denominator: number}>} entries - Items with resolved metric values
+ * @param {Object} metric - Metric option from buildMetricOptions
+ * @returns {{total: number, average: number, count: number}}
+ */
+export const combineMetricValues = (entries, metric) => {
+  const count = entries.length;
+  if (count === 0) return { total: 0, average: 0, count };
+
+  const sum = entries.reduce((acc, entry) => acc + (entry.value || 0), 0);
+  if (metric.type === "ratio") {
+    const numerator = entries.reduce((acc, entry) => acc + (entry.numerator || 0), 0);
+    const denominator = entries.reduce((acc, entry) => acc + (entry.denominator || 0), 0);
+    return {
+      total: denominator ? numerator / denominator : 0,
+      average: sum / count,
+      count
+    };
+  }
+
+  return { total: sum, average: sum / count, count };
+};
+
+/**
+ * Format a metric value for display: currency metrics carry the chosen
+ * symbol, rates are percentages and everything else is a plain number
+ * @param {number} value - Metric value
+ * @param {Object} metric - Metric option from buildMetricOptions
+ * @param {Object} [settings] - Number formatting preferences (see numberFormat)
+ * @param {Object} [options] - Passed on to formatNumber, e.g. `{abbreviate: false}`
+ * @returns {string}
+ */
+export const formatMetricValue = (value, metric, settings = DEFAULT_NUMBER_FORMAT, options = {}) => {
+  if (metric && metric.format === "percent") {
+    return formatPercent(value, settings);
+  }
+  return formatNumber(value, settings, {
+    ...options,
+    currency: Boolean(metric && metric.format === "currency")
+  });
+};
@@ -0,0 +1,134 @@
+// Number formatting preferences: how large values are abbreviated, which
+// currency symbol money carries and how digits are grouped. One settings
+// object is shared by markers, clusters, tooltips, stats, the legend and
+// exports so they always agree.
+
+const NUMBER_FORMAT_STORAGE_KEY = "numberFormat_v1";
+
+/**
+ * Ways of shortening large values, in the order shown in the toolbar
+ */
+export const NOTATIONS = [
+  { key: "indian", label: "Lakh / crore (L, Cr)" },
+  { key: "international", label: "Thousand / million (K, M, B)" },
+  { key: "full", label: "Full number" }
+];
+
+/**
+ * Symbols for currency metrics. "none" prints money as a plain number.
+ */
+export const CURRENCIES = [
+  { key: "INR", label: "₹ Rupee", symbol: "₹" },
+  { key: "USD", label: "$ Dollar", symbol: "$" },
+  { key: "EUR", label: "€ Euro", symbol: "€" },
+  { key: "GBP", label: "£ Pound", symbol: "£" },
+  { key: "none", label: "None (unitless)", symbol: "" }
+];
+
+/**
+ * Digit grouping and decimal separators, by locale
+ */
+export const GROUPING_LOCALES = [
+  { key: "en-IN", label: "1,23,45,678.9" },
+  { key: "en-US", label: "12,345,678.9" },
+  { key: "de-DE", label: "12.345.678,9" },
+  { key: "fr-FR", label: "12 345 678,9" }
+];
+
+export const DEFAULT_NUMBER_FORMAT = {
+  notation: "indian",
+  currency: "INR",
+  locale: "en-IN"
+};
+
+const ABBREVIATIONS = {
+  indian: [
+    { size: 10000000, suffix: "Cr", digits: 2 },
+    { size: 100000, suffix: "L", digits: 2 }
+  ],
+  international: [
+    { size: 1000000000, suffix: "B", digits: 2 },
+    { size: 1000000, suffix: "M", digits: 2 },
+    { size: 1000, suffix: "K", digits: 1 }
+  ],
+  full: []
+};
+
+// Intl formatters are slow to build and markers format thousands of values
+const formatterCache = new Map();
+const getFormatter = (locale, digits, minimumDigits = 0) => {
+  const key = `${locale}|${digits}|${minimumDigits}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Intl.NumberFormat(locale, {
+      minimumFractionDigits: minimumDigits,
+      maximumFractionDigits: digits
+    }));
+  }
+  return formatterCache.get(key);
+};
+
+/**
+ * Read the saved formatting preferences
+ * @returns {{notation: string, currency: string, locale: string}}
+ */
+export const loadNumberFormat = () => {
+  if (typeof window === "undefined") return DEFAULT_NUMBER_FORMAT;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(NUMBER_FORMAT_STORAGE_KEY) || "{}");
+    return { ...DEFAULT_NUMBER_FORMAT, ...stored };
+  } catch (error) {
+    return DEFAULT_NUMBER_FORMAT;
+  }
+};
+
+/**
+ * Remember the formatting preferences
+ * @param {{notation: string, currency: string, locale: string}} settings - Preferences to keep
+ */
+export const storeNumberFormat = (settings) => {
+  if (typeof window === "undefined") return;
+  try {
+    window.localStorage.setItem(NUMBER_FORMAT_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // Ignore storage failures (quota / privacy mode)
+  }
+};
+
+/**
+ * Format a number with the chosen notation and grouping
+ * @param {number} value - Number to format
+ * @param {Object} [settings] - Formatting preferences
+ * @param {Object} [options] - Per-call tweaks
+ * @param {boolean} [options.currency] - Prefix the currency symbol
+ * @param {boolean} [options.abbreviate] - Shorten large values (off for exports)
+ * @returns {string} - e.g. "₹1.25L", "₹3.40Cr", "$1.2K", "12,34,567"
+ */
+export const formatNumber = (value, settings = DEFAULT_NUMBER_FORMAT, options = {}) => {
+  const { currency = false, abbreviate = true } = options;
+  const { notation, locale, currency: currencyKey } = { ...DEFAULT_NUMBER_FORMAT, ...settings };
+  const currencyInfo = CURRENCIES.find((entry) => entry.key === currencyKey);
+  const symbol = currency && currencyInfo ? currencyInfo.symbol : "";
+  const sign = value < 0 ? "-" : "";
+  const magnitude = Math.abs(value);
+
+  const step = abbreviate
+    ? (ABBREVIATIONS[notation] || []).find((entry) => magnitude >= entry.size)
+    : null;
+  if (step) {
+    return `${sign}${symbol}${getFormatter(locale, step.digits).format(magnitude / step.size)}${step.suffix}`;
+  }
+  return `${sign}${symbol}${getFormatter(locale, 2).format(magnitude)}`;
+};
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} value - Ratio, e.g. 0.125 for 12.5%
+ * @param {Object} [settings] - Formatting preferences
+ * @param {boolean} [signed] - Prefix gains with "+"
+ * @returns {string}
+ */
+export const formatPercent = (value, settings = DEFAULT_NUMBER_FORMAT, signed = false) => {
+  const { locale } = { ...DEFAULT_NUMBER_FORMAT, ...settings };
+  const text = getFormatter(locale, 1, 1).format(value * 100);
+  return `${signed && value > 0 ? "+" : ""}${text}%`;
+};
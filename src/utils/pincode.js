@@ -0,0 +1,153 @@
+// Pincode validation and repair
+// Indian pincodes are six digits with a non-zero first digit. Spreadsheet
+// exports often damage them (110001.0, '110001, 1.10001E+05, "110 001"); these
+// helpers undo that damage and suggest close matches from the bundled index
+// for values that are still wrong.
+
+import pincodeLatLng from "../data/india_pincodes_lat_lng.json";
+
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+const DEFAULT_SUGGESTION_LIMIT = 3;
+
+/**
+ * Check the six-digit format (first digit 1-9)
+ * @param {string} value - Candidate pincode
+ * @returns {boolean}
+ */
+export const isValidPincodeFormat = (value) => PINCODE_PATTERN.test(String(value || ""));
+
+/**
+ * Check whether a pincode exists in the bundled index
+ * @param {string} value - Candidate pincode
+ * @returns {boolean}
+ */
+export const isKnownPincode = (value) =>
+  Object.prototype.hasOwnProperty.call(pincodeLatLng, String(value || ""));
+
+/**
+ * Undo common spreadsheet damage to a pincode cell
+ * @param {string | number} raw - Cell value
+ * @returns {{value: string, fixes: Array<string>}} - Cleaned value and the fixes applied
+ */
+export const cleanPincode = (raw) => {
+  let value = String(raw === undefined || raw === null ? "" : raw).trim();
+  const fixes = [];
+
+  if (/^['‘’`]/.test(value)) {
+    value = value.replace(/^['‘’`]+/, "");
+    fixes.push("removed leading apostrophe");
+  }
+  if (/\s/.test(value)) {
+    value = value.replace(/\s+/g, "");
+    fixes.push("removed spaces");
+  }
+  if (/^\d{3}-\d{3}$/.test(value)) {
+    value = value.replace("-", "");
+    fixes.push("removed separator");
+  }
+  if (/^\d+\.0+$/.test(value)) {
+    value = value.replace(/\.0+$/, "");
+    fixes.push("removed decimal suffix");
+  } else if (/^\d(\.\d+)?e\+?\d+$/i.test(value)) {
+    const number = Number(value);
+    if (Number.isInteger(number)) {
+      value = String(number);
+      fixes.push("expanded scientific notation");
+    }
+  }
+
+  return { value, fixes };
+};
+
+// Every string one edit away: substitution, insertion, deletion or swap of
+// neighbouring digits. Each candidate remembers the kind of edit.
+const getSingleEdits = (value) => {
+  const edits = [];
+  for (let i = 0; i < value.length; i += 1) {
+    edits.push({ value: value.slice(0, i) + value.slice(i + 1), edit: "deletion" });
+    if (i < value.length - 1) {
+      edits.push({
+        value: value.slice(0, i) + value[i + 1] + value[i] + value.slice(i + 2),
+        edit: "swap"
+      });
+    }
+    for (let digit = 0; digit <= 9; digit += 1) {
+      edits.push({ value: value.slice(0, i) + digit + value.slice(i + 1), edit: "substitution" });
+    }
+  }
+  for (let i = 0; i <= value.length; i += 1) {
+    for (let digit = 0; digit <= 9; digit += 1) {
+      edits.push({ value: value.slice(0, i) + digit + value.slice(i), edit: "insertion" });
+    }
+  }
+  return edits;
+};
+
+const sharedPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length += 1;
+  return length;
+};
+
+/**
+ * Suggest known pincodes one typo away from a value. Candidates sharing a
+ * longer prefix with the value (same zone, circle, district) rank first.
+ * @param {string} value - Cleaned pincode that failed validation
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Array<{pincode: string, name: string | null, edit: string}>}
+ */
+export const suggestPincodes = (value, limit = DEFAULT_SUGGESTION_LIMIT) => {
+  const digits = String(value || "");
+  if (!/^\d{4,8}$/.test(digits)) return [];
+
+  // A lost or extra leading zero is the most common Excel accident
+  const bases = digits.startsWith("0") ? [digits, digits.replace(/^0+/, "")] : [digits];
+  const seen = new Set();
+  const candidates = [];
+  bases.forEach((base) => {
+    getSingleEdits(base).forEach((candidate) => {
+      if (
+        candidate.value === digits ||
+        seen.has(candidate.value) ||
+        !isValidPincodeFormat(candidate.value) ||
+        !isKnownPincode(candidate.value)
+      ) {
+        return;
+      }
+      seen.add(candidate.value);
+      candidates.push({
+        pincode: candidate.value,
+        name: pincodeLatLng[candidate.value].name || null,
+        edit: candidate.edit,
+        prefix: sharedPrefixLength(candidate.value, base)
+      });
+    });
+  });
+
+  return candidates
+    .sort((a, b) => (
+      b.prefix - a.prefix ||
+      Math.abs(Number(a.pincode) - Number(digits)) - Math.abs(Number(b.pincode) - Number(digits))
+    ))
+    .slice(0, limit)
+    .map(({ pincode, name, edit }) => ({ pincode, name, edit }));
+};
+
+/**
+ * Validate a pincode cell: repair it, then check format and the bundled index
+ * @param {string | number} raw - Cell value
+ * @returns {{pincode: string, status: "valid" | "unknown" | "invalid", fixes: Array<string>, suggestions: Array<Object>}}
+ * "unknown" means well-formed but missing from the bundled index
+ */
+export const validatePincode = (raw) => {
+  const { value, fixes } = cleanPincode(raw);
+  if (isValidPincodeFormat(value) && isKnownPincode(value)) {
+    return { pincode: value, status: "valid", fixes, suggestions: [] };
+  }
+  return {
+    pincode: value,
+    status: isValidPincodeFormat(value) ? "unknown" : "invalid",
+    fixes,
+    suggestions: suggestPincodes(value)
+  };
+};
@@ -0,0 +1,84 @@
+// Type-ahead search over the bundled pincode index
+// Digit queries match pincodes (exact, then prefix); text queries match post
+// office / locality names (name prefix, then word prefix, then substring).
+
+import pincodeLatLng from "../data/india_pincodes_lat_lng.json";
+
+const DEFAULT_RESULT_LIMIT = 8;
+const MIN_NAME_QUERY_LENGTH = 2;
+
+const MATCH_RANK = {
+  exact: 0,
+  prefix: 1,
+  name: 2,
+  word: 3,
+  substring: 4
+};
+
+let searchIndex = null;
+
+const getSearchIndex = () => {
+  if (searchIndex) return searchIndex;
+  searchIndex = Object.keys(pincodeLatLng).map((pincode) => {
+    const entry = pincodeLatLng[pincode] || {};
+    const name = entry.name || "";
+    return {
+      pincode,
+      name,
+      lowerName: name.toLowerCase(),
+      coordinates: typeof entry.lat === "number" && typeof entry.lng === "number"
+        ? [entry.lat, entry.lng]
+        : null
+    };
+  });
+  return searchIndex;
+};
+
+const getMatchType = (entry, query, isNumeric) => {
+  if (isNumeric) {
+    if (entry.pincode === query) return "exact";
+    return entry.pincode.startsWith(query) ? "prefix" : null;
+  }
+  if (!entry.lowerName) return null;
+  if (entry.lowerName === query || entry.lowerName.startsWith(query)) return "name";
+  const position = entry.lowerName.indexOf(query);
+  if (position === -1) return null;
+  return /[\s\-.(/]/.test(entry.lowerName[position - 1]) ? "word" : "substring";
+};
+
+/**
+ * Search the bundled pincode index by pincode or locality name
+ * @param {string} query - Text typed by the user
+ * @param {{limit?: number, dataPincodes?: Set<string>}} [options] - Result cap and the pincodes present in the loaded dataset (ranked first within a tier)
+ * @returns {Array<{pincode: string, name: string, coordinates: [number, number] | null, matchType: string, hasData: boolean}>}
+ */
+export const searchPincodes = (query, options = {}) => {
+  const { limit = DEFAULT_RESULT_LIMIT, dataPincodes = new Set() } = options;
+  const normalized = String(query || "").trim().toLowerCase();
+  const isNumeric = /^\d+$/.test(normalized);
+  if (!normalized || (!isNumeric && normalized.length < MIN_NAME_QUERY_LENGTH)) {
+    return [];
+  }
+
+  const matches = [];
+  getSearchIndex().forEach((entry) => {
+    const matchType = getMatchType(entry, normalized, isNumeric);
+    if (!matchType) return;
+    matches.push({
+      pincode: entry.pincode,
+      name: entry.name,
+      coordinates: entry.coordinates,
+      matchType,
+      hasData: dataPincodes.has(entry.pincode)
+    });
+  });
+
+  return matches
+    .sort((a, b) => (
+      MATCH_RANK[a.matchType] - MATCH_RANK[b.matchType] ||
+      Number(b.hasData) - Number(a.hasData) ||
+      (isNumeric ? 0 : a.name.localeCompare(b.name)) ||
+      a.pincode.localeCompare(b.pincode)
+    ))
+    .slice(0, limit);
+};
@@ -0,0 +1,195 @@
+// Indian postal hierarchy encoded in pincode digits
+// The first digit is the zone, the first two the postal circle and the first
+// three the sorting district. These helpers roll pincode-level rows up to any
+// of those levels.
+
+import pincodeLatLng from "../data/india_pincodes_lat_lng.json";
+
+/**
+ * Aggregation levels, finest first
+ */
+export const POSTAL_LEVELS = [
+  { key: "pincode", label: "Pincode", plural: "pincodes", digits: 6 },
+  { key: "district", label: "Sorting district", plural: "sorting districts", digits: 3 },
+  { key: "circle", label: "Postal circle", plural: "postal circles", digits: 2 },
+  { key: "zone", label: "Zone", plural: "zones", digits: 1 }
+];
+
+const ZONE_NAMES = {
+  1: "Delhi, Haryana, Punjab, Himachal Pradesh, J&K",
+  2: "Uttar Pradesh, Uttarakhand",
+  3: "Rajasthan, Gujarat",
+  4: "Maharashtra, Goa, Madhya Pradesh, Chhattisgarh",
+  5: "Andhra Pradesh, Telangana, Karnataka",
+  6: "Tamil Nadu, Kerala",
+  7: "West Bengal, Odisha, North East",
+  8: "Bihar, Jharkhand",
+  9: "Army Postal Service"
+};
+
+const CIRCLE_RANGES = [
+  [11, 11, "Delhi"],
+  [12, 13, "Haryana"],
+  [14, 16, "Punjab"],
+  [17, 17, "Himachal Pradesh"],
+  [18, 19, "Jammu & Kashmir"],
+  [20, 28, "Uttar Pradesh & Uttarakhand"],
+  [30, 34, "Rajasthan"],
+  [36, 39, "Gujarat"],
+  [40, 44, "Maharashtra & Goa"],
+  [45, 48, "Madhya Pradesh"],
+  [49, 49, "Chhattisgarh"],
+  [50, 50, "Telangana"],
+  [51, 53, "Andhra Pradesh"],
+  [56, 59, "Karnataka"],
+  [60, 64, "Tamil Nadu"],
+  [67, 69, "Kerala"],
+  [70, 74, "West Bengal"],
+  [75, 77, "Odisha"],
+  [78, 78, "Assam"],
+  [79, 79, "North East"],
+  [80, 85, "Bihar & Jharkhand"],
+  [90, 99, "Army Postal Service"]
+];
+
+// Fields that add up when pincodes are grouped
+const ADDITIVE_FIELDS = [
+  "numerator",
+  "denominator",
+  "currentValue",
+  "baselineValue",
+  "baselineNumerator",
+  "baselineDenominator"
+];
+
+let prefixCentroids = null;
+
+// Mean position of every bundled pincode under each 1-3 digit prefix
+const getPrefixCentroids = () => {
+  if (prefixCentroids) return prefixCentroids;
+  const sums = new Map();
+  Object.keys(pincodeLatLng).forEach((pincode) => {
+    const entry = pincodeLatLng[pincode];
+    if (!entry || typeof entry.lat !== "number" || typeof entry.lng !== "number") return;
+    for (let digits = 1; digits <= 3; digits += 1) {
+      const prefix = pincode.slice(0, digits);
+      const sum = sums.get(prefix) || { lat: 0, lng: 0, count: 0 };
+      sum.lat += entry.lat;
+      sum.lng += entry.lng;
+      sum.count += 1;
+      sums.set(prefix, sum);
+    }
+  });
+  prefixCentroids = new Map();
+  sums.forEach((sum, prefix) => {
+    prefixCentroids.set(prefix, [sum.lat / sum.count, sum.lng / sum.count]);
+  });
+  return prefixCentroids;
+};
+
+/**
+ * Find a level definition by key
+ * @param {string} levelKey - One of POSTAL_LEVELS keys
+ * @returns {Object}
+ */
+export const getPostalLevel = (levelKey) =>
+  POSTAL_LEVELS.find((level) => level.key === levelKey) || POSTAL_LEVELS[0];
+
+/**
+ * The level shown when drilling into a group, e.g. districts inside circle "11"
+ * @param {string} prefix - Group prefix
+ * @returns {Object}
+ */
+export const getChildLevel = (prefix) =>
+  [...POSTAL_LEVELS].reverse().find((level) => level.digits > prefix.length);
+
+/**
+ * Human-readable name of a group (e.g. "Circle 11 · Delhi")
+ * @param {string} prefix - Group prefix
+ * @returns {string}
+ */
+export const getGroupLabel = (prefix) => {
+  if (prefix.length === 1) {
+    return `Zone ${prefix}${ZONE_NAMES[prefix] ? ` · ${ZONE_NAMES[prefix]}` : ""}`;
+  }
+  if (prefix.length === 2) {
+    const code = Number(prefix);
+    const circle = CIRCLE_RANGES.find(([from, to]) => code >= from && code <= to);
+    return `Circle ${prefix}${circle ? ` · ${circle[2]}` : ""}`;
+  }
+  if (prefix.length === 3) {
+    return `District ${prefix}`;
+  }
+  return prefix;
+};
+
+/**
+ * Add up the fields of rows being merged into one: raw metrics, plus the
+ * numerators, denominators and comparison values that are present
+ * @param {Array<Object>} members - Rows being merged
+ * @returns {Object} - Summed fields, with `metrics`
+ */
+export const sumMemberFields = (members) => {
+  const sums = ADDITIVE_FIELDS.reduce((acc, field) => {
+    if (members.some((member) => typeof member[field] === "number")) {
+      acc[field] = members.reduce((sum, member) => sum + (member[field] || 0), 0);
+    }
+    return acc;
+  }, {});
+  const metrics = {};
+  members.forEach((member) => {
+    Object.keys(member.metrics || {}).forEach((key) => {
+      metrics[key] = (metrics[key] || 0) + member.metrics[key];
+    });
+  });
+  return { ...sums, metrics };
+};
+
+/**
+ * Roll pincode-level rows up to a postal level. Each group is placed at the
+ * centroid of its members weighted by the metric value, falling back to the
+ * bundled pincode coordinates when the values cancel out.
+ * @param {Array<Object>} items - Rows with `pincode`, `value` and `coordinates`
+ * @param {string} levelKey - One of POSTAL_LEVELS keys
+ * @param {function(Array<Object>): Object} resolveValue - Computes a group's `value` (and related fields) from its members
+ * @returns {Array<Object>} - Group rows keyed by prefix in `pincode`
+ */
+export const rollUpByLevel = (items, levelKey, resolveValue) => {
+  const level = getPostalLevel(levelKey);
+  if (level.key === "pincode") return items;
+
+  const groups = new Map();
+  items.forEach((item) => {
+    const prefix = String(item.pincode).slice(0, level.digits);
+    const group = groups.get(prefix) || { prefix, members: [] };
+    group.members.push(item);
+    groups.set(prefix, group);
+  });
+
+  return Array.from(groups.values()).map(({ prefix, members }) => {
+    const weight = members.reduce((sum, member) => sum + Math.abs(member.value || 0), 0);
+    let coordinates;
+    if (weight > 0) {
+      coordinates = [
+        members.reduce((sum, member) => sum + member.coordinates[0] * Math.abs(member.value || 0), 0) / weight,
+        members.reduce((sum, member) => sum + member.coordinates[1] * Math.abs(member.value || 0), 0) / weight
+      ];
+    } else {
+      coordinates = getPrefixCentroids().get(prefix) || [
+        members.reduce((sum, member) => sum + member.coordinates[0], 0) / members.length,
+        members.reduce((sum, member) => sum + member.coordinates[1], 0) / members.length
+      ];
+    }
+
+    return {
+      ...sumMemberFields(members),
+      ...resolveValue(members),
+      pincode: prefix,
+      level: level.key,
+      label: getGroupLabel(prefix),
+      memberCount: members.length,
+      memberCoordinates: members.map((member) => member.coordinates),
+      coordinates
+    };
+  });
+};
@@ -0,0 +1,69 @@
+// Area selections drawn on the map, and the shapes saved for reuse
+
+import { isPointInShape } from "./geometry";
+import { combineMetricValues } from "./metrics";
+
+const SAVED_SHAPES_STORAGE_KEY = "savedSelectionShapes_v1";
+
+/**
+ * Drawing tools, in the order they are shown in the selection panel
+ */
+export const SELECTION_TOOLS = [
+  { key: "lasso", label: "Lasso" },
+  { key: "polygon", label: "Polygon" },
+  { key: "rectangle", label: "Rectangle" },
+  { key: "circle", label: "Radius" }
+];
+
+/**
+ * Rows whose coordinates fall inside a shape
+ * @param {Array<Object>} items - Rows with `coordinates`
+ * @param {Object | null} shape - Selection shape
+ * @returns {Array<Object>}
+ */
+export const selectItemsInShape = (items, shape) =>
+  shape ? items.filter((item) => isPointInShape(item.coordinates, shape)) : [];
+
+/**
+ * Count, total, average and top rows of a selection
+ * @param {Array<Object>} items - Selected rows with a resolved `value`
+ * @param {Object} metric - Active metric option
+ * @param {number} [topCount] - Number of top rows to return
+ * @returns {{count: number, total: number, average: number, top: Array<Object>}}
+ */
+export const summarizeSelection = (items, metric, topCount = 5) => {
+  const { total, average } = combineMetricValues(items, metric);
+  return {
+    count: items.length,
+    total,
+    average,
+    top: [...items].sort((a, b) => b.value - a.value).slice(0, topCount)
+  };
+};
+
+/**
+ * Shapes saved in this browser
+ * @returns {Array<{id: string, name: string, shape: Object, savedAt: number}>}
+ */
+export const loadSavedShapes = () => {
+  if (typeof window === "undefined") return [];
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVED_SHAPES_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Replace the saved shapes
+ * @param {Array<{id: string, name: string, shape: Object, savedAt: number}>} shapes - Shapes to keep
+ */
+export const storeSavedShapes = (shapes) => {
+  if (typeof window === "undefined") return;
+  try {
+    window.localStorage.setItem(SAVED_SHAPES_STORAGE_KEY, JSON.stringify(shapes));
+  } catch (error) {
+    // Ignore storage failures (quota / privacy mode)
+  }
+};
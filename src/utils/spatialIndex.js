@@ -0,0 +1,70 @@
+// Grid index over map points so the layers only get what is near the viewport
+// Points are bucketed into fixed lat/lng cells; a query visits the cells that
+// overlap the bounds and keeps the points inside them.
+
+const DEFAULT_CELL_DEGREES = 0.25;
+
+/**
+ * How far beyond the visible map points are still handed to the layers, as a
+ * fraction of the view size on each side
+ */
+export const VIEWPORT_PADDING = 0.5;
+
+const toCell = (degrees, cellDegrees) => Math.floor(degrees / cellDegrees);
+
+/**
+ * Build a grid index over rows with `coordinates`
+ * @param {Array<Object>} items - Rows with [latitude, longitude] coordinates
+ * @param {number} [cellDegrees] - Cell size in degrees
+ * @returns {{query: function({south: number, west: number, north: number, east: number}): Array<Object>}}
+ * `query` returns the rows inside the bounds in their original order
+ */
+export const createSpatialIndex = (items, cellDegrees = DEFAULT_CELL_DEGREES) => {
+  const cells = new Map();
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+
+  items.forEach((item, index) => {
+    const [lat, lng] = item.coordinates;
+    const key = `${toCell(lat, cellDegrees)},${toCell(lng, cellDegrees)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+    west = Math.min(west, lng);
+    east = Math.max(east, lng);
+  });
+
+  const query = (bounds) => {
+    // Zoomed out far enough to see everything
+    if (
+      items.length === 0 ||
+      (bounds.south <= south && bounds.north >= north && bounds.west <= west && bounds.east >= east)
+    ) {
+      return items;
+    }
+    const rowStart = toCell(Math.max(bounds.south, south), cellDegrees);
+    const rowEnd = toCell(Math.min(bounds.north, north), cellDegrees);
+    const columnStart = toCell(Math.max(bounds.west, west), cellDegrees);
+    const columnEnd = toCell(Math.min(bounds.east, east), cellDegrees);
+    const found = [];
+    for (let row = rowStart; row <= rowEnd; row += 1) {
+      for (let column = columnStart; column <= columnEnd; column += 1) {
+        const cell = cells.get(`${row},${column}`);
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i += 1) {
+          const [lat, lng] = items[cell[i]].coordinates;
+          if (lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east) {
+            found.push(cell[i]);
+          }
+        }
+      }
+    }
+    // Layers rely on the rows' order (largest first)
+    return found.sort((a, b) => a - b).map((index) => items[index]);
+  };
+
+  return { query };
+};
@@ -0,0 +1,151 @@
+// Date bucketing for time-series datasets
+// Upload rows keep their date as an ISO day ("2024-03-15"); these helpers
+// group those days into day/week/month/quarter periods and re-aggregate each
+// pincode's metrics for a window of periods.
+
+const MONTH_NAMES = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
+];
+
+/**
+ * Supported period sizes, smallest first
+ */
+export const GRANULARITIES = [
+  { key: "day", label: "Day" },
+  { key: "week", label: "Week" },
+  { key: "month", label: "Month" },
+  { key: "quarter", label: "Quarter" }
+];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const toIsoDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject rollovers such as 31/02/2024
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Parse a date cell into an ISO day. Numeric dates are read day-first
+ * (dd/mm/yyyy), as Indian exports write them; "yyyy-mm" means the 1st of the month.
+ * @param {string} raw - Date cell
+ * @returns {string | null} - "YYYY-MM-DD" or null when unparseable
+ */
+export const parseDate = (raw) => {
+  const text = String(raw || "").trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (match) return toIsoDay(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return toIsoDay(year, Number(match[2]), Number(match[1]));
+  }
+
+  match = text.match(/^(\d{4})[-/](\d{1,2})$/);
+  if (match) return toIsoDay(Number(match[1]), Number(match[2]), 1);
+
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) return null;
+  const date = new Date(parsed);
+  return toIsoDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+};
+
+/**
+ * Map an ISO day to the first day of its period
+ * @param {string} isoDay - "YYYY-MM-DD"
+ * @param {string} granularity - One of GRANULARITIES keys
+ * @returns {string} - Period key ("YYYY-MM-DD" of the period start)
+ */
+export const getPeriodKey = (isoDay, granularity) => {
+  const [year, month, day] = isoDay.split("-").map(Number);
+  if (granularity === "month") {
+    return `${year}-${pad(month)}-01`;
+  }
+  if (granularity === "quarter") {
+    const quarterMonth = Math.floor((month - 1) / 3) * 3 + 1;
+    return `${year}-${pad(quarterMonth)}-01`;
+  }
+  if (granularity === "week") {
+    // Weeks start on Monday
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const offset = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - offset);
+    return date.toISOString().slice(0, 10);
+  }
+  return isoDay;
+};
+
+/**
+ * Human-readable label for a period key
+ * @param {string} periodKey - Period key from getPeriodKey
+ * @param {string} granularity - One of GRANULARITIES keys
+ * @returns {string}
+ */
+export const formatPeriodLabel = (periodKey, granularity) => {
+  if (!periodKey) return "";
+  const [year, month, day] = periodKey.split("-").map(Number);
+  if (granularity === "month") return `${MONTH_NAMES[month - 1]} ${year}`;
+  if (granularity === "quarter") return `Q${Math.floor((month - 1) / 3) + 1} ${year}`;
+  if (granularity === "week") return `Week of ${day} ${MONTH_NAMES[month - 1]} ${year}`;
+  return `${day} ${MONTH_NAMES[month - 1]} ${year}`;
+};
+
+/**
+ * Check whether any item carries dated records
+ * @param {Array<Object>} items - Dataset rows
+ * @returns {boolean}
+ */
+export const hasDatedRecords = (items) =>
+  (items || []).some((item) => (item.records || []).some((record) => record.date));
+
+/**
+ * List the periods covered by a dataset, oldest first
+ * @param {Array<Object>} items - Dataset rows with dated records
+ * @param {string} granularity - One of GRANULARITIES keys
+ * @returns {Array<string>} - Period keys
+ */
+export const buildTimeline = (items, granularity) => {
+  const periods = new Set();
+  (items || []).forEach((item) => {
+    (item.records || []).forEach((record) => {
+      if (record.date) periods.add(getPeriodKey(record.date, granularity));
+    });
+  });
+  return Array.from(periods).sort();
+};
+
+/**
+ * Re-aggregate each item's metrics from the records that fall in a window of
+ * periods. Items with no records in the window are dropped.
+ * @param {Array<Object>} items - Dataset rows with dated records
+ * @param {string} granularity - One of GRANULARITIES keys
+ * @param {Array<string>} periodKeys - Periods in the window
+ * @returns {Array<Object>}
+ */
+export const sliceItemsByPeriods = (items, granularity, periodKeys) => {
+  const periodSet = new Set(periodKeys);
+  return (items || []).reduce((acc, item) => {
+    const metrics = {};
+    let matched = false;
+    (item.records || []).forEach((record) => {
+      if (!record.date || !periodSet.has(getPeriodKey(record.date, granularity))) return;
+      matched = true;
+      Object.keys(record.metrics || {}).forEach((key) => {
+        metrics[key] = (metrics[key] || 0) + record.metrics[key];
+      });
+    });
+    if (matched) acc.push({ ...item, metrics });
+    return acc;
+  }, []);
+};
@@ -0,0 +1,318 @@
+// Column mapping and dataset assembly for CSV uploads
+
+import { parseNumber } from "./csv";
+import { toMetricKey } from "./metrics";
+import { validatePincode } from "./pincode";
+import { parseDate } from "./timeSeries";
+
+const MAPPING_STORAGE_KEY = "csvColumnMappings_v1";
+const NUMERIC_SAMPLE_ROWS = 20;
+const NUMERIC_COLUMN_THRESHOLD = 0.8;
+
+const COLUMN_ALIASES = {
+  pincode: ["pincode", "pin", "postalcode", "postal_code", "pin_code", "zip"],
+  metrics: ["sales", "sale", "amount", "value", "revenue"],
+  date: ["date", "order_date", "invoice_date", "txn_date", "period"],
+  category: ["category", "segment", "channel", "product_category"],
+  lat: ["lat", "latitude"],
+  lng: ["lng", "lon", "long", "longitude"]
+};
+
+/**
+ * Roles a CSV column can play, in the order they are shown in the mapping wizard
+ */
+export const MAPPING_ROLES = [
+  { key: "pincode", label: "Pincode", required: true },
+  { key: "metrics", label: "Metrics", required: true, multiple: true },
+  { key: "date", label: "Date", required: false },
+  { key: "category", label: "Category", required: false },
+  { key: "lat", label: "Latitude", required: false },
+  { key: "lng", label: "Longitude", required: false }
+];
+
+const readSavedMappings = () => {
+  if (typeof window === "undefined") return {};
+  try {
+    const stored = window.localStorage.getItem(MAPPING_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Parse a latitude/longitude pair, rejecting out-of-range values and 0,0
+ * @param {string | number} rawLat - Latitude cell
+ * @param {string | number} rawLng - Longitude cell
+ * @returns {[number, number] | null}
+ */
+export const parseCoordinates = (rawLat, rawLng) => {
+  const lat = rawLat === undefined || rawLat === "" ? NaN : Number(rawLat);
+  const lng = rawLng === undefined || rawLng === "" ? NaN : Number(rawLng);
+  if (Number.isNaN(lat) || Number.isNaN(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  // 0,0 is the usual placeholder for "unknown" in CRM exports
+  if (lat === 0 && lng === 0) return null;
+  return [lat, lng];
+};
+
+/**
+ * Lower-case and trim header cells so they can be matched against aliases
+ * @param {Array<string>} headerRow - First row of the CSV
+ * @returns {Array<string>}
+ */
+export const normalizeHeaders = (headerRow) =>
+  (headerRow || []).map((cell) => String(cell ?? "").trim().toLowerCase());
+
+/**
+ * Identify a header layout so a mapping can be reused for files with the same columns
+ * @param {Array<string>} headerRow - First row of the CSV
+ * @returns {string}
+ */
+export const getHeaderSignature = (headerRow) => normalizeHeaders(headerRow).join("|");
+
+const isNumericColumn = (rows, index) => {
+  const samples = rows
+    .slice(1, NUMERIC_SAMPLE_ROWS + 1)
+    .map((row) => row[index])
+    .filter((cell) => cell !== undefined && cell !== "");
+  const numeric = samples.filter((cell) => parseNumber(cell).error === null).length;
+  // Tolerate the odd bad cell; those rows are reported when the file is imported
+  return samples.length > 0 && numeric / samples.length >= NUMERIC_COLUMN_THRESHOLD;
+};
+
+/**
+ * Map each role to a column index using the known header aliases. Only the
+ * aliased metric is selected; other numeric columns (store ids, years, phone
+ * numbers as often as real metrics) are left for the user to tick, and the
+ * wizard is shown so they can.
+ * @param {Array<Array<string>>} rows - Parsed rows including the header row
+ * @returns {Object<string, number | Array<number> | null>}
+ */
+export const detectColumnMapping = (rows) => {
+  const headers = normalizeHeaders(rows[0]);
+  const mapping = MAPPING_ROLES.reduce((acc, role) => {
+    const index = COLUMN_ALIASES[role.key]
+      .map((name) => headers.indexOf(name))
+      .find((idx) => idx >= 0);
+    acc[role.key] = index === undefined ? null : index;
+    return acc;
+  }, {});
+
+  const primaryMetric = mapping.metrics;
+  const claimed = MAPPING_ROLES
+    .filter((role) => !role.multiple)
+    .map((role) => mapping[role.key]);
+  const hasOtherNumericColumns = headers.some((header, index) => (
+    index !== primaryMetric &&
+    !claimed.includes(index) &&
+    isNumericColumn(rows, index)
+  ));
+  mapping.metrics = primaryMetric === null ? [] : [primaryMetric];
+  // Without a recognised metric header, or with other numeric columns that
+  // might be metrics, the user has to confirm the mapping
+  mapping.confirmed = primaryMetric !== null && !hasOtherNumericColumns;
+  return mapping;
+};
+
+/**
+ * Check that a mapping names distinct columns for every required role
+ * @param {Object<string, number | Array<number> | null>} mapping - Column mapping
+ * @returns {boolean}
+ */
+export const isMappingComplete = (mapping) =>
+  Boolean(mapping) &&
+  typeof mapping.pincode === "number" &&
+  Array.isArray(mapping.metrics) &&
+  mapping.metrics.length > 0 &&
+  !mapping.metrics.includes(mapping.pincode);
+
+/**
+ * Look up the mapping last confirmed for a header layout
+ * @param {string} signature - Header signature from getHeaderSignature
+ * @param {number} columnCount - Number of columns in the current file
+ * @returns {Object<string, number | Array<number> | null> | null}
+ */
+export const loadSavedMapping = (signature, columnCount) => {
+  const saved = readSavedMappings()[signature];
+  if (!saved) return null;
+  // Mappings saved before multi-metric support held a single `metric` index
+  const mapping = typeof saved.metric === "number" && !saved.metrics
+    ? { ...saved, metrics: [saved.metric] }
+    : saved;
+  const indexes = MAPPING_ROLES.reduce((acc, role) => (
+    acc.concat(role.multiple ? mapping[role.key] || [] : [mapping[role.key]])
+  ), []);
+  const inRange = indexes.every((index) => (
+    index === null || index === undefined || (index >= 0 && index < columnCount)
+  ));
+  return inRange && isMappingComplete(mapping) ? { ...mapping, confirmed: true } : null;
+};
+
+/**
+ * Remember a confirmed mapping for the next upload with the same headers
+ * @param {string} signature - Header signature from getHeaderSignature
+ * @param {Object<string, number | null>} mapping - Column mapping
+ */
+export const saveMapping = (signature, mapping) => {
+  if (typeof window === "undefined") return;
+  const saved = readSavedMappings();
+  saved[signature] = mapping;
+  try {
+    window.localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    // Ignore storage failures (quota / privacy mode)
+  }
+};
+
+/**
+ * Aggregate parsed CSV rows into one item per pincode using a column mapping.
+ * Pincodes are repaired where possible (decimal suffixes, spaces, apostrophes);
+ * malformed ones reject their rows, and both malformed and unknown pincodes
+ * with close matches in the bundled index are returned as `pincodeIssues`.
+ * @param {Array<Array<string>>} rows - Parsed rows including the header row
+ * @param {Array<number>} lineNumbers - Source line of each row
+ * @param {Object<string, number | Array<number> | null>} mapping - Column mapping
+ * @param {{corrections?: Object<string, string>, dismissed?: Array<string>}} [review] - Accepted replacements and rejected suggestions, keyed by raw cell value
+ * @returns {{items: Array<Object>, rowErrors: Array<{line: number, reason: string}>, usedLatLng: number, invalidLatLng: number, autoFixed: Array<Object>, pincodeIssues: Array<Object>}}
+ */
+export const buildUploadDataset = (rows, lineNumbers, mapping, review = {}) => {
+  const corrections = review.corrections || {};
+  const dismissed = review.dismissed || [];
+  const aggregated = new Map();
+  const rowErrors = [];
+  const hasLatLngColumns = mapping.lat !== null && mapping.lng !== null;
+  const keepsRecords = mapping.date !== null || mapping.category !== null;
+  const usedKeys = new Set();
+  const metricColumns = mapping.metrics.map((index) => {
+    const baseKey = toMetricKey(rows[0][index]);
+    let key = baseKey;
+    let suffix = 2;
+    while (usedKeys.has(key)) {
+      key = `${baseKey}_${suffix}`;
+      suffix += 1;
+    }
+    usedKeys.add(key);
+    return { index, key, header: rows[0][index] || key };
+  });
+  let invalidLatLng = 0;
+  const autoFixed = new Map();
+  const pincodeIssues = new Map();
+  // Large files repeat the same pincodes, and checking a bad one builds its
+  // suggestions, so each distinct value is checked once
+  const checks = new Map();
+  const checkPincode = (value) => {
+    if (!checks.has(value)) checks.set(value, validatePincode(value));
+    return checks.get(value);
+  };
+
+  const addIssue = (rawPincode, check, line) => {
+    if (dismissed.includes(rawPincode) || check.suggestions.length === 0) return;
+    const issue = pincodeIssues.get(rawPincode) || {
+      raw: rawPincode,
+      status: check.status,
+      suggestions: check.suggestions,
+      lines: []
+    };
+    issue.lines.push(line);
+    pincodeIssues.set(rawPincode, issue);
+  };
+
+  for (let i = 1; i < rows.length; i += 1) {
+    const row = rows[i];
+    const line = lineNumbers[i];
+    const rawPincode = row[mapping.pincode] || "";
+    if (!rawPincode) {
+      rowErrors.push({ line, reason: "Missing pincode" });
+      continue;
+    }
+    const check = checkPincode(corrections[rawPincode] || rawPincode);
+    if (check.status === "invalid") {
+      rowErrors.push({ line, reason: `Invalid pincode "${rawPincode}"` });
+      addIssue(rawPincode, check, line);
+      continue;
+    }
+
+    // Empty metric cells contribute nothing; unparseable ones reject the row
+    const rowMetrics = {};
+    let metricError = null;
+    metricColumns.forEach((column) => {
+      const cell = row[column.index];
+      if (metricError || cell === undefined || cell === "") return;
+      const { value, error } = parseNumber(cell);
+      if (error) {
+        metricError = `Invalid ${column.header} value: ${error}`;
+      } else {
+        rowMetrics[column.key] = value;
+      }
+    });
+    if (metricError) {
+      rowErrors.push({ line, reason: metricError });
+      continue;
+    }
+    if (Object.keys(rowMetrics).length === 0) {
+      rowErrors.push({ line, reason: "No metric values" });
+      continue;
+    }
+
+    const date = mapping.date !== null ? parseDate(row[mapping.date]) : undefined;
+    if (date === null) {
+      rowErrors.push({
+        line,
+        reason: row[mapping.date] ? `Invalid date "${row[mapping.date]}"` : "Missing date"
+      });
+      continue;
+    }
+
+    // Unknown pincodes are kept (another geocoder may know them) but flagged
+    if (check.status === "unknown" && !corrections[rawPincode]) {
+      addIssue(rawPincode, check, line);
+    }
+    if (check.fixes.length > 0 && !autoFixed.has(rawPincode)) {
+      autoFixed.set(rawPincode, { raw: rawPincode, pincode: check.pincode, fixes: check.fixes });
+    }
+    const pincode = check.pincode;
+
+    const existing = aggregated.get(pincode) || {
+      pincode,
+      metrics: {}
+    };
+    Object.keys(rowMetrics).forEach((key) => {
+      existing.metrics[key] = (existing.metrics[key] || 0) + rowMetrics[key];
+    });
+
+    // Keep the first valid coordinate pair supplied for a pincode; rows with
+    // missing or out-of-range values fall back to geocoding.
+    if (hasLatLngColumns) {
+      const coordinates = parseCoordinates(row[mapping.lat], row[mapping.lng]);
+      if (coordinates && !existing.coordinates) {
+        existing.coordinates = coordinates;
+        existing.coordinateSource = "supplied";
+      } else if (!coordinates && (row[mapping.lat] || row[mapping.lng])) {
+        invalidLatLng += 1;
+      }
+    }
+
+    // Optional columns are kept per source row so they survive aggregation
+    if (keepsRecords) {
+      existing.records = existing.records || [];
+      existing.records.push({
+        metrics: rowMetrics,
+        date,
+        category: mapping.category !== null ? row[mapping.category] || "" : undefined
+      });
+    }
+
+    aggregated.set(pincode, existing);
+  }
+
+  const items = Array.from(aggregated.values());
+  return {
+    items,
+    rowErrors,
+    usedLatLng: items.filter((item) => item.coordinates).length,
+    invalidLatLng,
+    autoFixed: Array.from(autoFixed.values()),
+    pincodeIssues: Array.from(pincodeIssues.values())
+  };
+};